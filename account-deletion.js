@@ -0,0 +1,70 @@
+// Closing an account.
+//
+// The owner asks for the deletion (after cancelling the subscription, see server.js); the
+// account is then kept for DELETION_GRACE_DAYS, so a mistake can be undone by logging in
+// and restoring it. Team members can't log in during that time. purgeDueAccounts() runs on
+// a schedule and deletes accounts whose grace period is over; the business profile,
+// conversations, appointments, team and everything else belonging to the account go with
+// it through the ON DELETE CASCADE foreign keys.
+
+const database = require('./database');
+const mailer = require('./mailer');
+
+const DELETION_GRACE_DAYS = 14;
+
+function isPendingDeletion(customer) {
+  return Boolean(customer && customer.deletion_scheduled_at);
+}
+
+// Start the grace period and tell the owner by email; returns the updated customer
+function scheduleDeletion(customer) {
+  const result = database.queries.scheduleCustomerDeletion.run(`+${DELETION_GRACE_DAYS} days`, customer.id);
+  const updated = database.queries.findCustomerById.get(customer.id);
+  if (result.changes === 0) {
+    return updated;
+  }
+
+  mailer.sendTemplate({
+    to: updated.email,
+    customerId: updated.id,
+    template: 'account_deletion',
+    language: updated.language,
+    data: {
+      businessName: updated.business_name,
+      date: updated.deletion_scheduled_at.substring(0, 10),
+      loginUrl: mailer.appUrl('/login')
+    }
+  });
+
+  console.log(`[ACCOUNT] Customer ${customer.id} will be deleted at ${updated.deletion_scheduled_at}`);
+  return updated;
+}
+
+// Undo a deletion during the grace period
+function cancelDeletion(customer) {
+  database.queries.cancelCustomerDeletion.run(customer.id);
+  console.log(`[ACCOUNT] Deletion of customer ${customer.id} cancelled`);
+}
+
+// Delete the accounts whose grace period is over; returns how many were deleted
+function purgeDueAccounts(now = new Date()) {
+  let deleted = 0;
+
+  database.queries.findCustomersDueForDeletion.all(now.toISOString()).forEach(customer => {
+    const result = database.queries.deleteCustomer.run(customer.id, now.toISOString());
+    if (result.changes > 0) {
+      console.log(`[ACCOUNT] Customer ${customer.id} deleted (requested deletion at ${customer.deletion_scheduled_at})`);
+      deleted++;
+    }
+  });
+
+  return deleted;
+}
+
+module.exports = {
+  DELETION_GRACE_DAYS,
+  isPendingDeletion,
+  scheduleDeletion,
+  cancelDeletion,
+  purgeDueAccounts
+};
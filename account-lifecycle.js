@@ -0,0 +1,105 @@
+// Trial lifecycle: reminders before a trial ends and suspension once it has ended.
+//
+// runLifecycle() is run on a schedule from server.js. Trials end at customers.trial_ends_at
+// (7 days after signup). Reminders go out 3 days and 1 day before; each notice is stored
+// in customer_notices, so it is sent once per customer even if the job runs often or late.
+// An expired trial moves to status 'suspended' until the customer pays for a plan.
+
+const database = require('./database');
+const mailer = require('./mailer');
+
+// Days before the end of the trial; the windows don't overlap, so a job that was down
+// for a while sends only the reminder that still applies
+const TRIAL_REMINDERS = [
+  { kind: 'trial_ends_1d', fromDays: 0, toDays: 1 },
+  { kind: 'trial_ends_3d', fromDays: 1, toDays: 3 }
+];
+
+const SUSPENDED_NOTICE = 'trial_expired';
+
+// What callers of a suspended business hear, e.g. SUSPENDED_CALL_MESSAGE="We are closed for now."
+function getSuspendedCallMessage() {
+  return process.env.SUSPENDED_CALL_MESSAGE ||
+    'Thank you for calling. This number is temporarily not in service. Please try again later. Goodbye!';
+}
+
+function isSuspended(customer) {
+  return Boolean(customer) && customer.status === 'suspended';
+}
+
+// SQLite datetime() takes ISO strings; timestamps are compared in UTC
+function toSqlTime(now) {
+  return now.toISOString();
+}
+
+// Record a notice for the dashboard and email it; returns false when it was sent before
+function sendNotice(customer, kind) {
+  const result = database.queries.addCustomerNotice.run(customer.id, kind);
+  if (result.changes === 0) {
+    return false;
+  }
+
+  // Notice kinds double as email template names
+  mailer.sendTemplate({
+    to: customer.email,
+    customerId: customer.id,
+    template: kind,
+    language: customer.language,
+    data: {
+      date: (customer.trial_ends_at || '').substring(0, 10),
+      billingUrl: mailer.appUrl('/dashboard#billing')
+    }
+  });
+  return true;
+}
+
+function sendTrialReminders(now) {
+  let sent = 0;
+
+  TRIAL_REMINDERS.forEach(reminder => {
+    const customers = database.queries.findTrialsEndingBetween.all(
+      toSqlTime(now), `+${reminder.fromDays} days`,
+      toSqlTime(now), `+${reminder.toDays} days`,
+      reminder.kind
+    );
+
+    customers.forEach(customer => {
+      if (sendNotice(customer, reminder.kind)) {
+        console.log(`[LIFECYCLE] Reminder ${reminder.kind} for customer ${customer.id} (trial ends ${customer.trial_ends_at})`);
+        sent++;
+      }
+    });
+  });
+
+  return sent;
+}
+
+function suspendExpiredTrials(now) {
+  let suspended = 0;
+
+  database.queries.findExpiredTrials.all(toSqlTime(now)).forEach(customer => {
+    const result = database.queries.suspendTrialCustomer.run(customer.id);
+    if (result.changes > 0) {
+      sendNotice(customer, SUSPENDED_NOTICE);
+      console.log(`[LIFECYCLE] Trial of customer ${customer.id} ended ${customer.trial_ends_at}, suspended`);
+      suspended++;
+    }
+  });
+
+  return suspended;
+}
+
+// One pass of the lifecycle job; returns what it did
+function runLifecycle(now = new Date()) {
+  return {
+    reminders: sendTrialReminders(now),
+    suspended: suspendExpiredTrials(now)
+  };
+}
+
+module.exports = {
+  TRIAL_REMINDERS,
+  getSuspendedCallMessage,
+  isSuspended,
+  runLifecycle
+};
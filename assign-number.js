@@ -0,0 +1,53 @@
+require('dotenv').config();
+const database = require('./database');
+
+// Assign a Twilio number to a customer's business so calls to it reach their receptionist.
+// The first number becomes business_profiles.twilio_number, later ones are extra numbers.
+// Usage: npm run assign-number -- <customer email> <+31201234567>
+function assignNumber() {
+  const [email, rawNumber] = process.argv.slice(2);
+
+  if (!email || !rawNumber) {
+    console.error('Usage: npm run assign-number -- <customer email> <phone number in E.164 format>');
+    process.exit(1);
+  }
+
+  const phoneNumber = rawNumber.replace(/[\s().-]/g, '');
+  if (!/^\+\d{8,15}$/.test(phoneNumber)) {
+    console.error(`❌ ${rawNumber} is not a valid E.164 number (e.g. +31201234567)`);
+    process.exit(1);
+  }
+
+  database.initializeDatabase();
+  const queries = database.queries;
+
+  const customer = queries.findCustomerByEmail.get(email);
+  if (!customer) {
+    console.error(`❌ No customer found with email ${email}`);
+    process.exit(1);
+  }
+
+  const businessProfile = queries.findBusinessByCustomerId.get(customer.id);
+  if (!businessProfile) {
+    console.error(`❌ Customer ${email} has no business profile`);
+    process.exit(1);
+  }
+
+  const owner = queries.findBusinessByPhoneNumber.get(phoneNumber, phoneNumber);
+  if (owner) {
+    console.error(`❌ ${phoneNumber} is already assigned to business ${owner.id} (${owner.business_name})`);
+    process.exit(1);
+  }
+
+  if (!businessProfile.twilio_number) {
+    queries.updateTwilioNumber.run(phoneNumber, businessProfile.id);
+    console.log(`✅ ${phoneNumber} is now the main number of ${businessProfile.business_name}`);
+  } else {
+    queries.addBusinessPhoneNumber.run(businessProfile.id, phoneNumber);
+    console.log(`✅ ${phoneNumber} added as extra number of ${businessProfile.business_name}`);
+  }
+
+  console.log('   Point the number\'s voice webhook at /api/voice/incoming in the Twilio console.');
+}
+
+assignNumber();
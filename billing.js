@@ -0,0 +1,209 @@
+// Subscription billing behind a provider interface shaped after Stripe Checkout.
+//
+// A provider implements:
+//   createCheckoutSession({ customer, plan, successUrl, cancelUrl }) -> { id, url }
+//   cancelSubscription(subscriptionId)
+// Payments, failures and cancellations come back through the signed webhook
+// (/api/billing/webhook). Events use Stripe's names and shapes and are signed the way
+// Stripe signs them: header "t=<unix time>,v1=<hex HMAC-SHA256 of '<t>.<payload>'>".
+// fake-billing-provider.js implements the same interface without a Stripe account.
+
+const crypto = require('crypto');
+const database = require('./database');
+
+const PLANS = ['starter', 'professional', 'business'];
+
+// Webhooks signed longer ago than this are refused (replayed requests)
+const SIGNATURE_TOLERANCE_SECONDS = 5 * 60;
+
+function billingError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+// Stripe price per plan, e.g. STRIPE_PRICE_PROFESSIONAL=price_123
+function getPriceIds() {
+  return {
+    starter: process.env.STRIPE_PRICE_STARTER,
+    professional: process.env.STRIPE_PRICE_PROFESSIONAL,
+    business: process.env.STRIPE_PRICE_BUSINESS
+  };
+}
+
+function createStripeProvider(secretKey, priceIds = getPriceIds()) {
+  async function request(method, path, params) {
+    const response = await fetch(`https://api.stripe.com/v1${path}`, {
+      method: method,
+      headers: {
+        Authorization: `Bearer ${secretKey}`,
+        'Content-Type': 'application/x-www-form-urlencoded'
+      },
+      body: params ? new URLSearchParams(params).toString() : undefined
+    });
+    const data = await response.json();
+
+    if (!response.ok) {
+      const error = new Error((data.error && data.error.message) || `Stripe request failed (${response.status})`);
+      error.status = response.status;
+      throw error;
+    }
+    return data;
+  }
+
+  return {
+    name: 'stripe',
+
+    createCheckoutSession: async ({ customer, plan, successUrl, cancelUrl }) => {
+      if (!priceIds[plan]) {
+        throw billingError(`No Stripe price configured for plan ${plan}`, 'UNKNOWN_PLAN');
+      }
+
+      const params = {
+        mode: 'subscription',
+        'line_items[0][price]': priceIds[plan],
+        'line_items[0][quantity]': '1',
+        client_reference_id: String(customer.id),
+        'metadata[plan]': plan,
+        'subscription_data[metadata][plan]': plan,
+        'subscription_data[metadata][customer_id]': String(customer.id),
+        success_url: successUrl,
+        cancel_url: cancelUrl
+      };
+      if (customer.billing_customer_id) {
+        params.customer = customer.billing_customer_id;
+      } else {
+        params.customer_email = customer.email;
+      }
+
+      const session = await request('POST', '/checkout/sessions', params);
+      return { id: session.id, url: session.url };
+    },
+
+    cancelSubscription: async (subscriptionId) => {
+      await request('DELETE', `/subscriptions/${subscriptionId}`);
+    }
+  };
+}
+
+function signPayload(payload, secret, timestamp = Math.floor(Date.now() / 1000)) {
+  const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${payload}`).digest('hex');
+  return `t=${timestamp},v1=${signature}`;
+}
+
+// Check the signature header of a webhook and return the parsed event
+function verifyWebhook(payload, header, secret, now = Date.now()) {
+  if (!secret) {
+    throw billingError('Billing webhook secret is not configured', 'NO_WEBHOOK_SECRET');
+  }
+
+  const parts = String(header || '').split(',').map(part => part.split('='));
+  const timestamp = Number((parts.find(([key]) => key === 't') || [])[1]);
+  const signatures = parts.filter(([key]) => key === 'v1').map(([, value]) => value || '');
+
+  if (!timestamp || signatures.length === 0) {
+    throw billingError('Malformed signature header', 'INVALID_SIGNATURE');
+  }
+  if (Math.abs(now / 1000 - timestamp) > SIGNATURE_TOLERANCE_SECONDS) {
+    throw billingError('Signature timestamp outside tolerance', 'INVALID_SIGNATURE');
+  }
+
+  const expected = Buffer.from(signPayload(payload, secret, timestamp).split('v1=')[1]);
+  const valid = signatures.some(signature => {
+    const received = Buffer.from(signature);
+    return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+  });
+  if (!valid) {
+    throw billingError('Signature does not match', 'INVALID_SIGNATURE');
+  }
+
+  return JSON.parse(payload);
+}
+
+// A subscription that is still being charged; a second checkout would bill the customer twice
+function hasActiveSubscription(customer) {
+  return Boolean(customer && customer.billing_subscription_id) && customer.status === 'active';
+}
+
+// Plan of a subscription object: our metadata, or the price it is billed at
+function planForSubscription(subscription, priceIds = getPriceIds()) {
+  if (subscription.metadata && PLANS.includes(subscription.metadata.plan)) {
+    return subscription.metadata.plan;
+  }
+
+  const item = subscription.items && subscription.items.data && subscription.items.data[0];
+  const priceId = item && item.price && item.price.id;
+  return PLANS.find(plan => priceId && priceIds[plan] === priceId) || null;
+}
+
+// Apply a verified webhook event to the customer it is about.
+// `cancelAccount(customerId)` runs the full account cancellation (releasing numbers),
+// `cancelSubscription(subscriptionId)` ends a subscription at the provider.
+async function handleWebhookEvent(event, { cancelAccount, cancelSubscription }) {
+  const queries = database.queries;
+
+  // Providers retry deliveries; every event is applied once
+  if (queries.findBillingEvent.get(event.id)) {
+    console.log(`[BILLING] Event ${event.id} (${event.type}) already handled`);
+    return { handled: false, duplicate: true };
+  }
+
+  const object = event.data.object;
+  let customer = null;
+
+  if (event.type === 'checkout.session.completed') {
+    customer = queries.findCustomerById.get(Number(object.client_reference_id));
+    if (customer) {
+      // Two checkouts completed (opened side by side, or after a failed payment): only the
+      // new subscription keeps charging
+      const previous = customer.billing_subscription_id;
+      if (previous && previous !== object.subscription && customer.status !== 'cancelled') {
+        await cancelSubscription(previous);
+        console.log(`[BILLING] Replaced subscription ${previous} of customer ${customer.id}`);
+      }
+
+      queries.setBillingSubscription.run(object.customer, object.subscription, customer.id);
+      if (object.metadata && PLANS.includes(object.metadata.plan)) {
+        queries.updateCustomerPlan.run(object.metadata.plan, customer.id);
+      }
+      queries.updateCustomerStatus.run('active', customer.id);
+      console.log(`[BILLING] Customer ${customer.id} subscribed (${object.metadata && object.metadata.plan})`);
+    }
+  } else {
+    const subscriptionId = event.type.startsWith('invoice.') ? object.subscription : object.id;
+    customer = subscriptionId ? queries.findCustomerBySubscriptionId.get(subscriptionId) : null;
+
+    if (customer && event.type === 'invoice.paid') {
+      queries.updateCustomerStatus.run('active', customer.id);
+      console.log(`[BILLING] Payment received for customer ${customer.id}`);
+    } else if (customer && event.type === 'invoice.payment_failed') {
+      queries.updateCustomerStatus.run('suspended', customer.id);
+      console.log(`[BILLING] Payment failed for customer ${customer.id}, suspended`);
+    } else if (customer && event.type === 'customer.subscription.updated') {
+      const plan = planForSubscription(object);
+      if (plan) {
+        queries.updateCustomerPlan.run(plan, customer.id);
+        console.log(`[BILLING] Customer ${customer.id} now on plan ${plan}`);
+      }
+    } else if (customer && event.type === 'customer.subscription.deleted') {
+      await cancelAccount(customer.id);
+      console.log(`[BILLING] Subscription of customer ${customer.id} ended`);
+    }
+  }
+
+  if (!customer) {
+    console.log(`[BILLING] Event ${event.id} (${event.type}) ignored, no matching customer`);
+  }
+
+  queries.recordBillingEvent.run(event.id, event.type);
+  return { handled: Boolean(customer), duplicate: false };
+}
+
+module.exports = {
+  PLANS,
+  hasActiveSubscription,
+  createStripeProvider,
+  signPayload,
+  verifyWebhook,
+  handleWebhookEvent
+};
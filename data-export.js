@@ -0,0 +1,112 @@
+// Data exports (GDPR access requests).
+//
+// exportBusiness() bundles everything stored for a customer's account: the account, the
+// business profile and its configuration, conversations with transcripts, appointments,
+// callback requests, the team and the emails we sent. exportCaller() bundles what one
+// business stores about a single caller, found by phone number. Password hashes, tokens
+// and other secrets are left out.
+
+const database = require('./database');
+const piiVault = require('./pii-vault');
+
+const EXPORT_VERSION = 1;
+
+function omit(row, keys) {
+  if (!row) {
+    return null;
+  }
+  const copy = { ...row };
+  keys.forEach(key => delete copy[key]);
+  return copy;
+}
+
+// Stored text columns with JSON in them are exported as JSON
+function parseJson(value) {
+  if (typeof value !== 'string') {
+    return value;
+  }
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return value;
+  }
+}
+
+// Exports are for the owner, so redacted values come back from the vault
+function exportConversation(conversation) {
+  const revealed = piiVault.revealConversation(conversation);
+  return { ...revealed, full_transcript: parseJson(revealed.full_transcript) };
+}
+
+// Digits only, without an international 00 prefix
+function phoneDigits(number) {
+  return String(number || '').replace(/\D/g, '').replace(/^00/, '');
+}
+
+// Same number written differently: +31 6 12345678, 0031612345678 and 0612345678 match
+function isSamePhone(a, b) {
+  const x = phoneDigits(a);
+  const y = phoneDigits(b);
+  if (!x || !y) {
+    return false;
+  }
+  if (x === y) {
+    return true;
+  }
+
+  const [national, international] = x.length < y.length ? [x, y] : [y, x];
+  return national.startsWith('0') && national.length > 6 && international.endsWith(national.substring(1));
+}
+
+function exportBusiness(customer) {
+  const businessProfile = database.queries.findBusinessByCustomerId.get(customer.id);
+  const businessId = businessProfile ? businessProfile.id : null;
+  const setupProgress = database.queries.findSetupProgress.get(customer.id);
+
+  return {
+    export_version: EXPORT_VERSION,
+    exported_at: new Date().toISOString(),
+    account: omit(customer, ['password', 'session_version']),
+    business: omit(businessProfile, ['forwarding_token', 'forwarding_token_expires_at']),
+    phone_numbers: businessId ? database.queries.findPhoneNumbersByBusinessId.all(businessId) : [],
+    services: businessId ? database.queries.findServicesByBusinessId.all(businessId) : [],
+    conversations: businessId ? database.queries.findAllConversationsByBusinessId.all(businessId).map(exportConversation) : [],
+    appointments: businessId ? database.queries.findAllAppointmentsByBusinessId.all(businessId) : [],
+    callback_requests: businessId ? database.queries.findAllCallbacksByBusinessId.all(businessId) : [],
+    team_members: database.queries.findTeamMembersByCustomerId.all(customer.id),
+    team_invitations: database.queries.findPendingTeamInvitations.all(customer.id),
+    notices: database.queries.findNoticesByCustomerId.all(customer.id),
+    emails: database.queries.findEmailLogByCustomerId.all(customer.id),
+    setup_progress: setupProgress ? {
+      ...setupProgress,
+      step1_data: parseJson(setupProgress.step1_data),
+      step2_data: parseJson(setupProgress.step2_data),
+      step3_data: parseJson(setupProgress.step3_data),
+      step4_data: parseJson(setupProgress.step4_data)
+    } : null
+  };
+}
+
+function exportCaller(customer, phoneNumber) {
+  const businessProfile = database.queries.findBusinessByCustomerId.get(customer.id);
+  const businessId = businessProfile ? businessProfile.id : null;
+  const matches = field => row => isSamePhone(row[field], phoneNumber);
+
+  return {
+    export_version: EXPORT_VERSION,
+    exported_at: new Date().toISOString(),
+    business_name: businessProfile ? businessProfile.business_name : customer.business_name,
+    phone_number: phoneNumber,
+    conversations: businessId
+      ? database.queries.findAllConversationsByBusinessId.all(businessId).filter(matches('caller_number')).map(exportConversation)
+      : [],
+    appointments: businessId ? database.queries.findAllAppointmentsByBusinessId.all(businessId).filter(matches('customer_phone')) : [],
+    callback_requests: businessId ? database.queries.findAllCallbacksByBusinessId.all(businessId).filter(matches('customer_phone')) : []
+  };
+}
+
+module.exports = {
+  isSamePhone,
+  exportBusiness,
+  exportCaller
+};
@@ -0,0 +1,52 @@
+// Retention of personal data per business.
+//
+// Each business chooses how long we keep:
+//   transcripts - the caller's number, summary and transcript of calls and chats
+//   contacts    - names, phone numbers and notes of appointments and callback requests
+// NULL keeps the data until the account is deleted. purgeExpiredData() runs on a schedule
+// from server.js and empties those fields once they are older than the chosen number of
+// days (appointments count from their date), together with the conversations' values in
+// the PII vault. The rows themselves stay, so usage, billing and statistics (number of
+// calls, minutes, bookings) don't change.
+
+const database = require('./database');
+
+const RETENTION_PERIODS = [30, 90, 180, 365, 730];
+
+// A retention setting from the API: null (keep) or one of RETENTION_PERIODS; undefined when invalid
+function parseRetentionDays(value) {
+  if (value === null || value === '' || value === undefined) {
+    return null;
+  }
+  const days = Number(value);
+  return RETENTION_PERIODS.includes(days) ? days : undefined;
+}
+
+// One pass of the purge job; returns how many conversations, appointments and callback
+// requests were emptied
+function purgeExpiredData(now = new Date()) {
+  const sqlNow = now.toISOString();
+  const result = { conversations: 0, appointments: 0, callbacks: 0 };
+
+  database.queries.findBusinessesWithRetention.all().forEach(business => {
+    if (business.transcript_retention_days) {
+      const before = `-${business.transcript_retention_days} days`;
+      result.conversations += database.queries.purgeConversationContents.run(business.id, sqlNow, before).changes;
+      database.queries.deleteVaultEntriesOfEmptiedConversations.run(business.id, business.id);
+    }
+
+    if (business.contact_retention_days) {
+      const before = `-${business.contact_retention_days} days`;
+      result.appointments += database.queries.anonymizeAppointments.run(business.id, sqlNow, before).changes;
+      result.callbacks += database.queries.anonymizeCallbacks.run(business.id, sqlNow, before).changes;
+    }
+  });
+
+  return result;
+}
+
+module.exports = {
+  RETENTION_PERIODS,
+  parseRetentionDays,
+  purgeExpiredData
+};
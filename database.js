@@ -1,12 +1,51 @@
 const Database = require('better-sqlite3');
 const path = require('path');
 
-// Initialize database
-const db = new Database(path.join(__dirname, 'youraisolution.db'));
+// Initialize database (DATABASE_PATH can point elsewhere, e.g. ':memory:' in the tests)
+const db = new Database(process.env.DATABASE_PATH || path.join(__dirname, 'youraisolution.db'));
 
 // Enable foreign keys
 db.pragma('foreign_keys = ON');
 
+// Add a column to an existing table (databases created before the column existed);
+// returns true when the column was added
+function addColumnIfMissing(table, column, definition) {
+  const columns = db.prepare(`PRAGMA table_info(${table})`).all();
+  if (!columns.some(c => c.name === column)) {
+    db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+    console.log(`Added column ${table}.${column}`);
+    return true;
+  }
+  return false;
+}
+
+// SQLite cannot change a CHECK constraint, so databases created before the 'suspended'
+// status get their customers table rebuilt from its own definition with the new CHECK
+// (foreign keys off, or dropping the old table would cascade)
+function allowSuspendedCustomerStatus() {
+  const table = db.prepare("SELECT sql FROM sqlite_master WHERE type = 'table' AND name = 'customers'").get();
+  if (table.sql.includes("'suspended'")) {
+    return;
+  }
+
+  const rebuiltSql = table.sql
+    .replace(/^CREATE TABLE (IF NOT EXISTS )?"?customers"?/, 'CREATE TABLE customers_rebuilt')
+    .replace("'active', 'cancelled'", "'active', 'suspended', 'cancelled'");
+
+  db.pragma('foreign_keys = OFF');
+  try {
+    db.transaction(() => {
+      db.exec(rebuiltSql);
+      db.exec('INSERT INTO customers_rebuilt SELECT * FROM customers');
+      db.exec('DROP TABLE customers');
+      db.exec('ALTER TABLE customers_rebuilt RENAME TO customers');
+    })();
+  } finally {
+    db.pragma('foreign_keys = ON');
+  }
+  console.log("Rebuilt table customers to allow status 'suspended'");
+}
+
 // Create tables
 function initializeDatabase() {
   // Customers table
@@ -17,12 +56,19 @@ function initializeDatabase() {
       password TEXT NOT NULL,
       business_name TEXT NOT NULL,
       plan TEXT DEFAULT 'starter' CHECK(plan IN ('starter', 'professional', 'business')),
-      status TEXT DEFAULT 'trial' CHECK(status IN ('trial', 'active', 'cancelled')),
+      status TEXT DEFAULT 'trial' CHECK(status IN ('trial', 'active', 'suspended', 'cancelled')),
       trial_ends_at TEXT,
+      billing_customer_id TEXT,
+      billing_subscription_id TEXT,
+      session_version INTEGER NOT NULL DEFAULT 0,
+      email_verified_at TEXT,
+      language TEXT DEFAULT 'nl',
+      deletion_scheduled_at TEXT,
       created_at TEXT DEFAULT CURRENT_TIMESTAMP,
       updated_at TEXT DEFAULT CURRENT_TIMESTAMP
     )
   `);
+  allowSuspendedCustomerStatus();
 
   // Business profiles table
   db.exec(`
@@ -36,12 +82,25 @@ function initializeDatabase() {
       owner_phone TEXT,
       description TEXT,
       opening_hours TEXT,
+      timezone TEXT DEFAULT 'Europe/Amsterdam',
+      booking_capacity INTEGER DEFAULT 1,
+      slot_interval_minutes INTEGER DEFAULT 15,
       languages TEXT,
       special_rules TEXT,
       greeting_message TEXT,
       backup_phone TEXT,
       connection_method TEXT CHECK(connection_method IN ('forward_existing', 'new_number')),
       twilio_number TEXT,
+      twilio_number_sid TEXT,
+      forwarding_status TEXT DEFAULT 'unverified',
+      forwarding_token TEXT,
+      forwarding_token_expires_at TEXT,
+      forwarding_checked_at TEXT,
+      forwarding_verified_at TEXT,
+      overage_behavior TEXT DEFAULT 'allow',
+      transcript_retention_days INTEGER,
+      contact_retention_days INTEGER,
+      redact_transcripts INTEGER DEFAULT 0,
       is_setup_complete INTEGER DEFAULT 0,
       created_at TEXT DEFAULT CURRENT_TIMESTAMP,
       updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
@@ -59,6 +118,7 @@ function initializeDatabase() {
       summary TEXT,
       full_transcript TEXT,
       duration_seconds INTEGER,
+      message_count INTEGER,
       action_taken TEXT CHECK(action_taken IN ('info_given', 'appointment_booked', 'transferred', 'callback_requested')),
       created_at TEXT DEFAULT CURRENT_TIMESTAMP,
       FOREIGN KEY (business_id) REFERENCES business_profiles(id) ON DELETE CASCADE
@@ -83,6 +143,20 @@ function initializeDatabase() {
     )
   `);
 
+  // Services table (bookable services with their duration and buffer)
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS services (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      business_id INTEGER NOT NULL,
+      name TEXT NOT NULL,
+      duration_minutes INTEGER NOT NULL DEFAULT 30,
+      buffer_minutes INTEGER NOT NULL DEFAULT 0,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (business_id) REFERENCES business_profiles(id) ON DELETE CASCADE,
+      UNIQUE (business_id, name)
+    )
+  `);
+
   // Callback requests table
   db.exec(`
     CREATE TABLE IF NOT EXISTS callback_requests (
@@ -92,11 +166,175 @@ function initializeDatabase() {
       customer_phone TEXT NOT NULL,
       reason TEXT,
       is_handled INTEGER DEFAULT 0,
+      assigned_to TEXT,
+      notes TEXT,
+      handled_at TEXT,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (business_id) REFERENCES business_profiles(id) ON DELETE CASCADE
+    )
+  `);
+
+  // Extra Twilio numbers that ring through to a business (the main one is business_profiles.twilio_number)
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS business_phone_numbers (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      business_id INTEGER NOT NULL,
+      phone_number TEXT UNIQUE NOT NULL,
       created_at TEXT DEFAULT CURRENT_TIMESTAMP,
       FOREIGN KEY (business_id) REFERENCES business_profiles(id) ON DELETE CASCADE
     )
   `);
 
+  // Demo usage per caller number (shared trial number)
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS trial_usage (
+      phone_number TEXT PRIMARY KEY,
+      call_count INTEGER NOT NULL DEFAULT 0,
+      total_seconds INTEGER NOT NULL DEFAULT 0,
+      first_used_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      last_used_at TEXT DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  // Notices sent to a customer about their account (trial reminders, suspension), once per kind
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS customer_notices (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      customer_id INTEGER NOT NULL,
+      kind TEXT NOT NULL,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      dismissed_at TEXT,
+      UNIQUE(customer_id, kind),
+      FOREIGN KEY (customer_id) REFERENCES customers(id) ON DELETE CASCADE
+    )
+  `);
+
+  // Billing periods in which the owner was emailed that the call minutes are used up
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS usage_notices (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      customer_id INTEGER NOT NULL,
+      period_start TEXT NOT NULL,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE(customer_id, period_start),
+      FOREIGN KEY (customer_id) REFERENCES customers(id) ON DELETE CASCADE
+    )
+  `);
+
+  // Billing webhook events already applied (providers retry deliveries)
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS billing_events (
+      id TEXT PRIMARY KEY,
+      type TEXT NOT NULL,
+      received_at TEXT DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  // Password reset links; only a hash of the token is stored. team_member_id is set for a
+  // team member's link, NULL for the account owner's
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS password_reset_tokens (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      customer_id INTEGER NOT NULL,
+      team_member_id INTEGER REFERENCES team_members(id) ON DELETE CASCADE,
+      token_hash TEXT UNIQUE NOT NULL,
+      expires_at TEXT NOT NULL,
+      used_at TEXT,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (customer_id) REFERENCES customers(id) ON DELETE CASCADE
+    )
+  `);
+
+  // Email verification links sent after signup; only a hash of the token is stored
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS email_verification_tokens (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      customer_id INTEGER NOT NULL,
+      token_hash TEXT UNIQUE NOT NULL,
+      expires_at TEXT NOT NULL,
+      used_at TEXT,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (customer_id) REFERENCES customers(id) ON DELETE CASCADE
+    )
+  `);
+
+  // Team members who log in to a customer's account; the customer itself is the owner
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS team_members (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      customer_id INTEGER NOT NULL,
+      email TEXT UNIQUE NOT NULL,
+      password TEXT NOT NULL,
+      name TEXT,
+      role TEXT NOT NULL CHECK(role IN ('manager', 'staff')),
+      session_version INTEGER NOT NULL DEFAULT 0,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (customer_id) REFERENCES customers(id) ON DELETE CASCADE
+    )
+  `);
+
+  // Invitations to join a team; only a hash of the token is stored (see team.js)
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS team_invitations (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      customer_id INTEGER NOT NULL,
+      email TEXT NOT NULL,
+      role TEXT NOT NULL CHECK(role IN ('manager', 'staff')),
+      token_hash TEXT UNIQUE NOT NULL,
+      invited_by TEXT,
+      expires_at TEXT NOT NULL,
+      accepted_at TEXT,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (customer_id) REFERENCES customers(id) ON DELETE CASCADE
+    )
+  `);
+
+  // Every transactional email: for auditing and retrying failed sends (see mailer.js)
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS email_log (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      customer_id INTEGER,
+      to_address TEXT NOT NULL,
+      template TEXT NOT NULL,
+      language TEXT NOT NULL,
+      subject TEXT,
+      data TEXT,
+      status TEXT NOT NULL DEFAULT 'queued' CHECK(status IN ('queued', 'sent', 'failed')),
+      attempts INTEGER NOT NULL DEFAULT 0,
+      last_error TEXT,
+      message_id TEXT,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      sent_at TEXT,
+      FOREIGN KEY (customer_id) REFERENCES customers(id) ON DELETE SET NULL
+    )
+  `);
+
+  // Request counters and login lockouts per key (IP address, account, email), see rate-limit.js
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS rate_limits (
+      key TEXT PRIMARY KEY,
+      count INTEGER NOT NULL DEFAULT 0,
+      window_start INTEGER NOT NULL,
+      expires_at INTEGER NOT NULL
+    )
+  `);
+
+  // Personal data taken out of stored conversations, encrypted (see pii-vault.js)
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS pii_vault (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      business_id INTEGER NOT NULL,
+      conversation_id INTEGER NOT NULL,
+      token TEXT NOT NULL,
+      kind TEXT NOT NULL,
+      value_encrypted TEXT NOT NULL,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (business_id) REFERENCES business_profiles(id) ON DELETE CASCADE,
+      FOREIGN KEY (conversation_id) REFERENCES conversations(id) ON DELETE CASCADE,
+      UNIQUE (conversation_id, token)
+    )
+  `);
+
   // Setup progress table (for multi-step wizard)
   db.exec(`
     CREATE TABLE IF NOT EXISTS setup_progress (
@@ -113,13 +351,56 @@ function initializeDatabase() {
     )
   `);
 
+  // Columns added after the first release
+  addColumnIfMissing('customers', 'billing_customer_id', 'TEXT');
+  addColumnIfMissing('customers', 'billing_subscription_id', 'TEXT');
+  addColumnIfMissing('customers', 'session_version', 'INTEGER NOT NULL DEFAULT 0');
+  addColumnIfMissing('customers', 'language', "TEXT DEFAULT 'nl'");
+  if (addColumnIfMissing('customers', 'email_verified_at', 'TEXT')) {
+    // Accounts from before email verification keep working
+    db.exec('UPDATE customers SET email_verified_at = created_at');
+  }
+  addColumnIfMissing('customers', 'deletion_scheduled_at', 'TEXT');
+  addColumnIfMissing('business_profiles', 'timezone', "TEXT DEFAULT 'Europe/Amsterdam'");
+  addColumnIfMissing('business_profiles', 'booking_capacity', 'INTEGER DEFAULT 1');
+  addColumnIfMissing('business_profiles', 'slot_interval_minutes', 'INTEGER DEFAULT 15');
+  addColumnIfMissing('business_profiles', 'twilio_number_sid', 'TEXT');
+  addColumnIfMissing('business_profiles', 'forwarding_status', "TEXT DEFAULT 'unverified'");
+  addColumnIfMissing('business_profiles', 'forwarding_token', 'TEXT');
+  addColumnIfMissing('business_profiles', 'forwarding_token_expires_at', 'TEXT');
+  addColumnIfMissing('business_profiles', 'forwarding_checked_at', 'TEXT');
+  addColumnIfMissing('business_profiles', 'forwarding_verified_at', 'TEXT');
+  addColumnIfMissing('business_profiles', 'overage_behavior', "TEXT DEFAULT 'allow'");
+  addColumnIfMissing('business_profiles', 'transcript_retention_days', 'INTEGER');
+  addColumnIfMissing('business_profiles', 'contact_retention_days', 'INTEGER');
+  addColumnIfMissing('business_profiles', 'redact_transcripts', 'INTEGER DEFAULT 0');
+  addColumnIfMissing('conversations', 'message_count', 'INTEGER');
+  addColumnIfMissing('callback_requests', 'assigned_to', 'TEXT');
+  addColumnIfMissing('callback_requests', 'notes', 'TEXT');
+  addColumnIfMissing('callback_requests', 'handled_at', 'TEXT');
+  addColumnIfMissing('password_reset_tokens', 'team_member_id', 'INTEGER REFERENCES team_members(id) ON DELETE CASCADE');
+
   // Create indexes for better performance
   db.exec(`
     CREATE INDEX IF NOT EXISTS idx_customers_email ON customers(email);
+    CREATE INDEX IF NOT EXISTS idx_customers_status_trial_ends ON customers(status, trial_ends_at);
+    CREATE INDEX IF NOT EXISTS idx_customers_billing_subscription ON customers(billing_subscription_id);
+    CREATE INDEX IF NOT EXISTS idx_password_reset_tokens_customer ON password_reset_tokens(customer_id);
+    CREATE INDEX IF NOT EXISTS idx_email_verification_tokens_customer ON email_verification_tokens(customer_id);
+    CREATE INDEX IF NOT EXISTS idx_team_members_customer ON team_members(customer_id);
+    CREATE INDEX IF NOT EXISTS idx_team_invitations_customer ON team_invitations(customer_id);
+    CREATE INDEX IF NOT EXISTS idx_email_log_status ON email_log(status, created_at);
+    CREATE INDEX IF NOT EXISTS idx_email_log_customer ON email_log(customer_id);
     CREATE INDEX IF NOT EXISTS idx_business_profiles_customer ON business_profiles(customer_id);
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_business_profiles_twilio_number ON business_profiles(twilio_number);
+    CREATE INDEX IF NOT EXISTS idx_business_phone_numbers_business ON business_phone_numbers(business_id);
     CREATE INDEX IF NOT EXISTS idx_conversations_business ON conversations(business_id);
+    CREATE INDEX IF NOT EXISTS idx_conversations_business_created ON conversations(business_id, created_at);
     CREATE INDEX IF NOT EXISTS idx_appointments_business ON appointments(business_id);
+    CREATE INDEX IF NOT EXISTS idx_appointments_business_date ON appointments(business_id, date);
+    CREATE INDEX IF NOT EXISTS idx_services_business ON services(business_id);
     CREATE INDEX IF NOT EXISTS idx_callback_requests_business ON callback_requests(business_id);
+    CREATE INDEX IF NOT EXISTS idx_pii_vault_business ON pii_vault(business_id);
   `);
 
   console.log('Database tables initialized successfully');
@@ -148,6 +429,316 @@ function initializeQueries() {
       UPDATE customers SET plan = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?
     `),
 
+    updateCustomerStatus: db.prepare(`
+      UPDATE customers SET status = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?
+    `),
+
+    // Language of the emails we send the customer
+    updateCustomerLanguage: db.prepare(`
+      UPDATE customers SET language = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?
+    `),
+
+    // New password; bumping session_version logs out every existing session
+    resetCustomerPassword: db.prepare(`
+      UPDATE customers SET password = ?, session_version = session_version + 1, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `),
+
+    // Login address changes; the new address still has to be verified
+    updateCustomerEmail: db.prepare(`
+      UPDATE customers SET email = ?, email_verified_at = NULL, updated_at = CURRENT_TIMESTAMP WHERE id = ?
+    `),
+
+    updateCustomerBusinessName: db.prepare(`
+      UPDATE customers SET business_name = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?
+    `),
+
+    // Account deletion: the account and everything in it is deleted after the grace period
+    // (see account-deletion.js); team members can't log in until then
+    scheduleCustomerDeletion: db.prepare(`
+      UPDATE customers SET deletion_scheduled_at = datetime('now', ?), updated_at = CURRENT_TIMESTAMP
+      WHERE id = ? AND deletion_scheduled_at IS NULL
+    `),
+
+    cancelCustomerDeletion: db.prepare(`
+      UPDATE customers SET deletion_scheduled_at = NULL, updated_at = CURRENT_TIMESTAMP WHERE id = ?
+    `),
+
+    findCustomersDueForDeletion: db.prepare(`
+      SELECT * FROM customers WHERE deletion_scheduled_at <= datetime(?)
+    `),
+
+    // Business profiles, conversations, appointments, team members etc. go with it (ON DELETE CASCADE)
+    deleteCustomer: db.prepare(`
+      DELETE FROM customers WHERE id = ? AND deletion_scheduled_at <= datetime(?)
+    `),
+
+    setBillingSubscription: db.prepare(`
+      UPDATE customers SET billing_customer_id = ?, billing_subscription_id = ?, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `),
+
+    findCustomerBySubscriptionId: db.prepare(`
+      SELECT * FROM customers WHERE billing_subscription_id = ?
+    `),
+
+    findBillingEvent: db.prepare(`
+      SELECT * FROM billing_events WHERE id = ?
+    `),
+
+    recordBillingEvent: db.prepare(`
+      INSERT OR IGNORE INTO billing_events (id, type) VALUES (?, ?)
+    `),
+
+    // Trials ending after `now + from` and no later than `now + to` without notice `kind` yet
+    findTrialsEndingBetween: db.prepare(`
+      SELECT * FROM customers
+      WHERE status = 'trial'
+        AND trial_ends_at > datetime(?, ?) AND trial_ends_at <= datetime(?, ?)
+        AND NOT EXISTS (
+          SELECT 1 FROM customer_notices
+          WHERE customer_notices.customer_id = customers.id AND customer_notices.kind = ?
+        )
+    `),
+
+    findExpiredTrials: db.prepare(`
+      SELECT * FROM customers WHERE status = 'trial' AND trial_ends_at <= datetime(?)
+    `),
+
+    // Only trials are suspended; a payment that just came in wins
+    suspendTrialCustomer: db.prepare(`
+      UPDATE customers SET status = 'suspended', updated_at = CURRENT_TIMESTAMP
+      WHERE id = ? AND status = 'trial'
+    `),
+
+    // Notice queries
+    addCustomerNotice: db.prepare(`
+      INSERT OR IGNORE INTO customer_notices (customer_id, kind) VALUES (?, ?)
+    `),
+
+    findOpenNoticesByCustomerId: db.prepare(`
+      SELECT * FROM customer_notices
+      WHERE customer_id = ? AND dismissed_at IS NULL
+      ORDER BY id DESC
+    `),
+
+    findNoticesByCustomerId: db.prepare(`
+      SELECT * FROM customer_notices WHERE customer_id = ? ORDER BY id
+    `),
+
+    dismissCustomerNotice: db.prepare(`
+      UPDATE customer_notices SET dismissed_at = CURRENT_TIMESTAMP
+      WHERE id = ? AND customer_id = ?
+    `),
+
+    // Password reset queries
+    createPasswordResetToken: db.prepare(`
+      INSERT INTO password_reset_tokens (customer_id, team_member_id, token_hash, expires_at)
+      VALUES (?, ?, ?, datetime('now', ?))
+    `),
+
+    findValidPasswordResetToken: db.prepare(`
+      SELECT * FROM password_reset_tokens
+      WHERE token_hash = ? AND used_at IS NULL AND expires_at > datetime('now')
+    `),
+
+    // Single use: only one request can mark a token used
+    usePasswordResetToken: db.prepare(`
+      UPDATE password_reset_tokens SET used_at = CURRENT_TIMESTAMP
+      WHERE token_hash = ? AND used_at IS NULL AND expires_at > datetime('now')
+      RETURNING customer_id, team_member_id
+    `),
+
+    // Older links of the same user (owner: team member NULL) stop working once a new one is
+    // sent or the password is reset
+    invalidatePasswordResetTokens: db.prepare(`
+      UPDATE password_reset_tokens SET used_at = CURRENT_TIMESTAMP
+      WHERE customer_id = ? AND team_member_id IS ? AND used_at IS NULL
+    `),
+
+    deleteExpiredPasswordResetTokens: db.prepare(`
+      DELETE FROM password_reset_tokens WHERE expires_at < datetime('now', '-1 day')
+    `),
+
+    // Email verification queries
+    createEmailVerificationToken: db.prepare(`
+      INSERT INTO email_verification_tokens (customer_id, token_hash, expires_at)
+      VALUES (?, ?, datetime('now', ?))
+    `),
+
+    findEmailVerificationToken: db.prepare(`
+      SELECT * FROM email_verification_tokens WHERE token_hash = ?
+    `),
+
+    useEmailVerificationToken: db.prepare(`
+      UPDATE email_verification_tokens SET used_at = CURRENT_TIMESTAMP
+      WHERE token_hash = ? AND used_at IS NULL AND expires_at > datetime('now')
+      RETURNING customer_id
+    `),
+
+    invalidateEmailVerificationTokens: db.prepare(`
+      UPDATE email_verification_tokens SET used_at = CURRENT_TIMESTAMP
+      WHERE customer_id = ? AND used_at IS NULL
+    `),
+
+    markEmailVerified: db.prepare(`
+      UPDATE customers SET email_verified_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ? AND email_verified_at IS NULL
+    `),
+
+    deleteExpiredEmailVerificationTokens: db.prepare(`
+      DELETE FROM email_verification_tokens WHERE expires_at < datetime('now', '-7 days')
+    `),
+
+    // Team queries
+    createTeamMember: db.prepare(`
+      INSERT INTO team_members (customer_id, email, password, name, role)
+      VALUES (?, ?, ?, ?, ?)
+    `),
+
+    findTeamMemberByEmail: db.prepare(`
+      SELECT * FROM team_members WHERE email = ?
+    `),
+
+    findTeamMemberById: db.prepare(`
+      SELECT * FROM team_members WHERE id = ? AND customer_id = ?
+    `),
+
+    findTeamMembersByCustomerId: db.prepare(`
+      SELECT id, email, name, role, created_at FROM team_members
+      WHERE customer_id = ?
+      ORDER BY created_at, id
+    `),
+
+    updateTeamMemberEmail: db.prepare(`
+      UPDATE team_members SET email = ? WHERE id = ? AND customer_id = ?
+    `),
+
+    // New password; bumping session_version logs out every existing session
+    updateTeamMemberPassword: db.prepare(`
+      UPDATE team_members SET password = ?, session_version = session_version + 1 WHERE id = ? AND customer_id = ?
+    `),
+
+    updateTeamMemberRole: db.prepare(`
+      UPDATE team_members SET role = ? WHERE id = ? AND customer_id = ?
+    `),
+
+    deleteTeamMember: db.prepare(`
+      DELETE FROM team_members WHERE id = ? AND customer_id = ?
+    `),
+
+    createTeamInvitation: db.prepare(`
+      INSERT INTO team_invitations (customer_id, email, role, token_hash, invited_by, expires_at)
+      VALUES (?, ?, ?, ?, ?, datetime('now', ?))
+    `),
+
+    findValidTeamInvitation: db.prepare(`
+      SELECT team_invitations.*, business_profiles.business_name
+      FROM team_invitations
+      LEFT JOIN business_profiles ON business_profiles.customer_id = team_invitations.customer_id
+      WHERE token_hash = ? AND accepted_at IS NULL AND expires_at > datetime('now')
+    `),
+
+    findPendingTeamInvitations: db.prepare(`
+      SELECT id, email, role, invited_by, expires_at, created_at FROM team_invitations
+      WHERE customer_id = ? AND accepted_at IS NULL AND expires_at > datetime('now')
+      ORDER BY created_at, id
+    `),
+
+    findTeamInvitationById: db.prepare(`
+      SELECT * FROM team_invitations WHERE id = ? AND customer_id = ?
+    `),
+
+    // Single use: only one request can accept an invitation
+    acceptTeamInvitation: db.prepare(`
+      UPDATE team_invitations SET accepted_at = CURRENT_TIMESTAMP
+      WHERE token_hash = ? AND accepted_at IS NULL AND expires_at > datetime('now')
+      RETURNING *
+    `),
+
+    // A new invitation for the same address replaces the old one
+    deletePendingTeamInvitations: db.prepare(`
+      DELETE FROM team_invitations WHERE customer_id = ? AND email = ? AND accepted_at IS NULL
+    `),
+
+    deleteTeamInvitation: db.prepare(`
+      DELETE FROM team_invitations WHERE id = ? AND customer_id = ? AND accepted_at IS NULL
+    `),
+
+    deleteExpiredTeamInvitations: db.prepare(`
+      DELETE FROM team_invitations WHERE expires_at < datetime('now', '-1 day')
+    `),
+
+    // Email log queries
+    createEmailLog: db.prepare(`
+      INSERT INTO email_log (customer_id, to_address, template, language, data)
+      VALUES (?, ?, ?, ?, ?)
+    `),
+
+    findEmailLogById: db.prepare(`
+      SELECT * FROM email_log WHERE id = ?
+    `),
+
+    findEmailLogByCustomerId: db.prepare(`
+      SELECT id, to_address, template, language, subject, status, created_at, sent_at
+      FROM email_log WHERE customer_id = ? ORDER BY id
+    `),
+
+    // Changes is 0 when the period was already claimed
+    createUsageNotice: db.prepare(`
+      INSERT OR IGNORE INTO usage_notices (customer_id, period_start) VALUES (?, ?)
+    `),
+
+    findEmailLog: db.prepare(`
+      SELECT id, customer_id, to_address, template, language, subject, status, attempts, last_error, message_id, created_at, sent_at
+      FROM email_log
+      WHERE (? IS NULL OR status = ?)
+      ORDER BY id DESC
+      LIMIT ?
+    `),
+
+    // Template data may hold reset links, so it is dropped once the message is out
+    markEmailSent: db.prepare(`
+      UPDATE email_log
+      SET status = 'sent', subject = ?, message_id = ?, attempts = attempts + 1,
+          last_error = NULL, data = NULL, sent_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `),
+
+    markEmailFailed: db.prepare(`
+      UPDATE email_log
+      SET status = 'failed', subject = COALESCE(?, subject), last_error = ?, attempts = attempts + 1
+      WHERE id = ?
+    `),
+
+    findRetryableEmails: db.prepare(`
+      SELECT * FROM email_log
+      WHERE status = 'failed' AND attempts < ? AND data IS NOT NULL AND created_at > datetime('now', '-1 day')
+      ORDER BY id
+    `),
+
+    // Rate limit queries
+    findRateLimit: db.prepare(`
+      SELECT * FROM rate_limits WHERE key = ?
+    `),
+
+    startRateLimitWindow: db.prepare(`
+      INSERT INTO rate_limits (key, count, window_start, expires_at) VALUES (?, ?, ?, ?)
+      ON CONFLICT(key) DO UPDATE SET count = excluded.count, window_start = excluded.window_start, expires_at = excluded.expires_at
+    `),
+
+    incrementRateLimit: db.prepare(`
+      UPDATE rate_limits SET count = count + ? WHERE key = ?
+    `),
+
+    deleteRateLimit: db.prepare(`
+      DELETE FROM rate_limits WHERE key = ?
+    `),
+
+    deleteExpiredRateLimits: db.prepare(`
+      DELETE FROM rate_limits WHERE expires_at <= ?
+    `),
+
     // Business profile queries
     createBusinessProfile: db.prepare(`
       INSERT INTO business_profiles (customer_id, business_name)
@@ -158,15 +749,124 @@ function initializeQueries() {
       SELECT * FROM business_profiles WHERE customer_id = ?
     `),
 
+    findBusinessById: db.prepare(`
+      SELECT * FROM business_profiles WHERE id = ?
+    `),
+
+    updateBusinessName: db.prepare(`
+      UPDATE business_profiles SET business_name = ?, updated_at = CURRENT_TIMESTAMP WHERE customer_id = ?
+    `),
+
+    updateOverageBehavior: db.prepare(`
+      UPDATE business_profiles SET overage_behavior = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?
+    `),
+
+    // Days after which personal data is removed (NULL keeps it, see data-retention.js) and
+    // redaction of stored transcripts (see redaction.js)
+    updatePrivacySettings: db.prepare(`
+      UPDATE business_profiles
+      SET transcript_retention_days = ?, contact_retention_days = ?, redact_transcripts = ?, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `),
+
+    findBusinessesWithRetention: db.prepare(`
+      SELECT id, transcript_retention_days, contact_retention_days FROM business_profiles
+      WHERE transcript_retention_days IS NOT NULL OR contact_retention_days IS NOT NULL
+    `),
+
+    updateBookingSettings: db.prepare(`
+      UPDATE business_profiles
+      SET booking_capacity = ?, slot_interval_minutes = ?, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `),
+
     updateBusinessProfile: db.prepare(`
       UPDATE business_profiles
       SET business_name = ?, business_type = ?, address = ?, website = ?,
-          owner_phone = ?, description = ?, opening_hours = ?, languages = ?,
+          owner_phone = ?, description = ?, opening_hours = ?, timezone = ?, languages = ?,
           special_rules = ?, greeting_message = ?, backup_phone = ?,
           connection_method = ?, is_setup_complete = ?, updated_at = CURRENT_TIMESTAMP
       WHERE customer_id = ?
     `),
 
+    // Phone number routing queries
+    findBusinessByPhoneNumber: db.prepare(`
+      SELECT * FROM business_profiles
+      WHERE twilio_number = ?
+         OR id = (SELECT business_id FROM business_phone_numbers WHERE phone_number = ?)
+    `),
+
+    updateTwilioNumber: db.prepare(`
+      UPDATE business_profiles SET twilio_number = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?
+    `),
+
+    setProvisionedNumber: db.prepare(`
+      UPDATE business_profiles
+      SET twilio_number = ?, twilio_number_sid = ?, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `),
+
+    clearProvisionedNumber: db.prepare(`
+      UPDATE business_profiles
+      SET twilio_number = NULL, twilio_number_sid = NULL, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `),
+
+    // Call forwarding verification queries
+    startForwardingVerification: db.prepare(`
+      UPDATE business_profiles
+      SET forwarding_status = 'pending', forwarding_token = ?,
+          forwarding_token_expires_at = datetime('now', ?), forwarding_checked_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `),
+
+    confirmForwardingToken: db.prepare(`
+      UPDATE business_profiles
+      SET forwarding_status = 'verified', forwarding_token = NULL, forwarding_verified_at = CURRENT_TIMESTAMP
+      WHERE id = ? AND forwarding_status = 'pending' AND forwarding_token = ?
+        AND forwarding_token_expires_at > datetime('now')
+    `),
+
+    markForwardingBroken: db.prepare(`
+      UPDATE business_profiles
+      SET forwarding_status = 'broken', forwarding_token = NULL
+      WHERE id = ? AND forwarding_status = 'pending'
+    `),
+
+    expireForwardingVerifications: db.prepare(`
+      UPDATE business_profiles
+      SET forwarding_status = 'broken', forwarding_token = NULL
+      WHERE forwarding_status = 'pending' AND forwarding_token_expires_at < datetime('now')
+    `),
+
+    addBusinessPhoneNumber: db.prepare(`
+      INSERT INTO business_phone_numbers (business_id, phone_number)
+      VALUES (?, ?)
+    `),
+
+    findPhoneNumbersByBusinessId: db.prepare(`
+      SELECT phone_number FROM business_phone_numbers WHERE business_id = ? ORDER BY created_at
+    `),
+
+    // Trial usage queries
+    findTrialUsage: db.prepare(`
+      SELECT * FROM trial_usage WHERE phone_number = ?
+    `),
+
+    recordTrialCallStart: db.prepare(`
+      INSERT INTO trial_usage (phone_number, call_count) VALUES (?, 1)
+      ON CONFLICT(phone_number) DO UPDATE
+      SET call_count = call_count + 1, last_used_at = CURRENT_TIMESTAMP
+    `),
+
+    addTrialSeconds: db.prepare(`
+      UPDATE trial_usage SET total_seconds = total_seconds + ? WHERE phone_number = ?
+    `),
+
+    resetTrialUsage: db.prepare(`
+      DELETE FROM trial_usage WHERE phone_number = ?
+    `),
+
     // Setup progress queries
     createSetupProgress: db.prepare(`
       INSERT INTO setup_progress (customer_id, current_step, step1_data)
@@ -186,14 +886,59 @@ function initializeQueries() {
 
     // Conversation queries
     createConversation: db.prepare(`
-      INSERT INTO conversations (business_id, type, caller_number, summary, full_transcript, duration_seconds, action_taken)
-      VALUES (?, ?, ?, ?, ?, ?, ?)
+      INSERT INTO conversations (business_id, type, caller_number, summary, full_transcript, duration_seconds, message_count, action_taken)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `),
+
+    // Usage in a billing period: calls per started minute, chats per visitor message
+    sumUsageInPeriod: db.prepare(`
+      SELECT
+        COALESCE(SUM(CASE WHEN type = 'call' THEN (COALESCE(duration_seconds, 0) + 59) / 60 END), 0) AS call_minutes,
+        COALESCE(SUM(CASE WHEN type = 'call' THEN 1 END), 0) AS calls,
+        COALESCE(SUM(CASE WHEN type = 'chat' THEN COALESCE(message_count, 0) END), 0) AS chat_messages,
+        COALESCE(SUM(CASE WHEN type = 'chat' THEN 1 END), 0) AS chats
+      FROM conversations
+      WHERE business_id = ? AND created_at >= ? AND created_at < ?
     `),
 
     findConversationsByBusinessId: db.prepare(`
       SELECT * FROM conversations WHERE business_id = ? ORDER BY created_at DESC LIMIT 50
     `),
 
+    findConversationById: db.prepare(`
+      SELECT * FROM conversations WHERE id = ? AND business_id = ?
+    `),
+
+    findAllConversationsByBusinessId: db.prepare(`
+      SELECT * FROM conversations WHERE business_id = ? ORDER BY created_at, id
+    `),
+
+    // Retention: the caller's number and what was said go, type, duration and message
+    // count stay for usage and statistics
+    purgeConversationContents: db.prepare(`
+      UPDATE conversations SET caller_number = NULL, summary = NULL, full_transcript = NULL
+      WHERE business_id = ? AND created_at < datetime(?, ?)
+        AND (caller_number IS NOT NULL OR summary IS NOT NULL OR full_transcript IS NOT NULL)
+    `),
+
+    // PII vault queries
+    createVaultEntry: db.prepare(`
+      INSERT OR IGNORE INTO pii_vault (business_id, conversation_id, token, kind, value_encrypted)
+      VALUES (?, ?, ?, ?, ?)
+    `),
+
+    findVaultEntriesByConversation: db.prepare(`
+      SELECT * FROM pii_vault WHERE conversation_id = ? AND business_id = ?
+    `),
+
+    // Retention emptied the conversation, so its values go too
+    deleteVaultEntriesOfEmptiedConversations: db.prepare(`
+      DELETE FROM pii_vault
+      WHERE business_id = ? AND conversation_id IN (
+        SELECT id FROM conversations WHERE business_id = ? AND summary IS NULL AND full_transcript IS NULL
+      )
+    `),
+
     // Appointment queries
     createAppointment: db.prepare(`
       INSERT INTO appointments (business_id, customer_name, customer_phone, service, date, time, duration_minutes, notes)
@@ -206,6 +951,49 @@ function initializeQueries() {
       ORDER BY date, time
     `),
 
+    findAppointmentById: db.prepare(`
+      SELECT * FROM appointments WHERE id = ? AND business_id = ?
+    `),
+
+    findAllAppointmentsByBusinessId: db.prepare(`
+      SELECT * FROM appointments WHERE business_id = ? ORDER BY date, time, id
+    `),
+
+    // Retention: past appointments keep their service, date and status, not who came
+    anonymizeAppointments: db.prepare(`
+      UPDATE appointments SET customer_name = '', customer_phone = '', notes = NULL
+      WHERE business_id = ? AND date < date(?, ?) AND (customer_name <> '' OR customer_phone <> '' OR notes IS NOT NULL)
+    `),
+
+    findConfirmedAppointmentsOnDate: db.prepare(`
+      SELECT * FROM appointments
+      WHERE business_id = ? AND date = ? AND status = 'confirmed'
+      ORDER BY time
+    `),
+
+    // Service queries
+    createService: db.prepare(`
+      INSERT INTO services (business_id, name, duration_minutes, buffer_minutes)
+      VALUES (?, ?, ?, ?)
+    `),
+
+    findServicesByBusinessId: db.prepare(`
+      SELECT * FROM services WHERE business_id = ? ORDER BY name
+    `),
+
+    findServiceById: db.prepare(`
+      SELECT * FROM services WHERE id = ? AND business_id = ?
+    `),
+
+    updateService: db.prepare(`
+      UPDATE services SET name = ?, duration_minutes = ?, buffer_minutes = ?
+      WHERE id = ? AND business_id = ?
+    `),
+
+    deleteService: db.prepare(`
+      DELETE FROM services WHERE id = ? AND business_id = ?
+    `),
+
     // Callback request queries
     createCallbackRequest: db.prepare(`
       INSERT INTO callback_requests (business_id, customer_name, customer_phone, reason)
@@ -216,6 +1004,39 @@ function initializeQueries() {
       SELECT * FROM callback_requests
       WHERE business_id = ? AND is_handled = 0
       ORDER BY created_at DESC
+    `),
+
+    findCallbackById: db.prepare(`
+      SELECT * FROM callback_requests WHERE id = ? AND business_id = ?
+    `),
+
+    findHandledCallbacks: db.prepare(`
+      SELECT * FROM callback_requests
+      WHERE business_id = ? AND is_handled = 1
+      ORDER BY handled_at DESC
+      LIMIT 50
+    `),
+
+    findAllCallbacksByBusinessId: db.prepare(`
+      SELECT * FROM callback_requests WHERE business_id = ? ORDER BY created_at, id
+    `),
+
+    // Retention: old callback requests keep only when they came in and were handled
+    anonymizeCallbacks: db.prepare(`
+      UPDATE callback_requests SET customer_name = '', customer_phone = '', reason = NULL, notes = NULL
+      WHERE business_id = ? AND created_at < datetime(?, ?)
+        AND (customer_name <> '' OR customer_phone <> '' OR reason IS NOT NULL OR notes IS NOT NULL)
+    `),
+
+    updateCallbackDetails: db.prepare(`
+      UPDATE callback_requests SET assigned_to = ?, notes = ?
+      WHERE id = ? AND business_id = ?
+    `),
+
+    markCallbackHandled: db.prepare(`
+      UPDATE callback_requests
+      SET is_handled = ?, handled_at = CASE WHEN ? = 1 THEN CURRENT_TIMESTAMP ELSE NULL END
+      WHERE id = ? AND business_id = ?
     `)
   };
 
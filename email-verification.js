@@ -0,0 +1,55 @@
+// Email verification after signup.
+//
+// A verification link carries a random token; like password reset links, only its hash
+// is stored. Links expire after TOKEN_TTL_HOURS and work once; sending a new link
+// invalidates older ones. Until the address is verified the account can't go live or
+// buy numbers (see requireVerifiedEmail in server.js).
+
+const crypto = require('crypto');
+const database = require('./database');
+
+const TOKEN_TTL_HOURS = 24;
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+function isVerified(customer) {
+  return Boolean(customer && customer.email_verified_at);
+}
+
+// Create a verification token for a customer; returns the raw token for the link
+function createVerificationToken(customer) {
+  const token = crypto.randomBytes(32).toString('hex');
+
+  database.queries.invalidateEmailVerificationTokens.run(customer.id);
+  database.queries.createEmailVerificationToken.run(customer.id, hashToken(token), `+${TOKEN_TTL_HOURS} hours`);
+
+  console.log(`[EMAIL VERIFICATION] Link created for customer ${customer.id}`);
+  return token;
+}
+
+// Verify with a token from a link; returns { verified, reason } where reason is
+// 'invalid' (unknown token), 'expired' or 'used'
+function verifyToken(token) {
+  const row = token ? database.queries.findEmailVerificationToken.get(hashToken(token)) : null;
+  if (!row) {
+    return { verified: false, reason: 'invalid', customerId: null };
+  }
+
+  const used = database.queries.useEmailVerificationToken.get(hashToken(token));
+  if (!used) {
+    return { verified: false, reason: row.used_at ? 'used' : 'expired', customerId: row.customer_id };
+  }
+
+  database.queries.markEmailVerified.run(used.customer_id);
+  console.log(`[EMAIL VERIFICATION] Email verified for customer ${used.customer_id}`);
+  return { verified: true, reason: null, customerId: used.customer_id };
+}
+
+module.exports = {
+  TOKEN_TTL_HOURS,
+  isVerified,
+  createVerificationToken,
+  verifyToken
+};
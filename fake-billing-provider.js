@@ -0,0 +1,94 @@
+// In-memory stand-in for the billing provider in billing.js. Set BILLING_PROVIDER=fake to
+// subscribe without a Stripe account: the checkout page "pays" immediately, and the events
+// Stripe would send are built here and signed with the webhook secret like real ones.
+
+const crypto = require('crypto');
+const { signPayload } = require('./billing');
+
+function createFakeBillingProvider(webhookSecret) {
+  const checkoutSessions = new Map(); // id -> { id, customerId, plan, successUrl, cancelUrl }
+  const subscriptions = new Map(); // id -> { id, customer, status, metadata }
+  let nextId = 1;
+
+  function newId(prefix) {
+    return `${prefix}_fake${String(nextId++).padStart(14, '0')}`;
+  }
+
+  // A webhook delivery as the server receives it: raw payload plus signature header
+  function signedEvent(type, object) {
+    const payload = JSON.stringify({
+      id: newId('evt'),
+      type: type,
+      created: Math.floor(Date.now() / 1000),
+      data: { object: object }
+    });
+    return { payload: payload, signature: signPayload(payload, webhookSecret) };
+  }
+
+  return {
+    name: 'fake',
+
+    createCheckoutSession: async ({ customer, plan, successUrl, cancelUrl }) => {
+      const id = newId('cs');
+      checkoutSessions.set(id, { id, customerId: customer.id, plan, successUrl, cancelUrl });
+      return { id: id, url: `/billing/fake-checkout/${id}` };
+    },
+
+    cancelSubscription: async (subscriptionId) => {
+      const subscription = subscriptions.get(subscriptionId);
+      if (subscription) {
+        subscription.status = 'canceled';
+      }
+      console.log(`[FAKE BILLING] Subscription ${subscriptionId} cancelled`);
+    },
+
+    // The customer paid: events for the completed checkout and the first invoice
+    completeCheckout: (sessionId) => {
+      const session = checkoutSessions.get(sessionId);
+      if (!session) {
+        return null;
+      }
+      checkoutSessions.delete(sessionId);
+
+      const subscription = {
+        id: newId('sub'),
+        customer: `cus_fake${crypto.randomBytes(6).toString('hex')}`,
+        status: 'active',
+        metadata: { plan: session.plan, customer_id: String(session.customerId) }
+      };
+      subscriptions.set(subscription.id, subscription);
+
+      return {
+        successUrl: session.successUrl,
+        events: [
+          signedEvent('checkout.session.completed', {
+            id: session.id,
+            client_reference_id: String(session.customerId),
+            customer: subscription.customer,
+            subscription: subscription.id,
+            metadata: { plan: session.plan }
+          }),
+          signedEvent('invoice.paid', { subscription: subscription.id, customer: subscription.customer })
+        ]
+      };
+    },
+
+    // A renewal that could not be charged
+    failPayment: (subscriptionId) => signedEvent('invoice.payment_failed', { subscription: subscriptionId }),
+
+    changePlan: (subscriptionId, plan) => {
+      const subscription = subscriptions.get(subscriptionId);
+      if (!subscription) {
+        return null;
+      }
+      subscription.metadata.plan = plan;
+      return signedEvent('customer.subscription.updated', { ...subscription });
+    },
+
+    endSubscription: (subscriptionId) => signedEvent('customer.subscription.deleted', { id: subscriptionId, status: 'canceled' })
+  };
+}
+
+module.exports = {
+  createFakeBillingProvider
+};
@@ -0,0 +1,92 @@
+// In-memory stand-in for the parts of the Twilio REST client used by number-provisioning.js
+// and forwarding-verification.js. Set TWILIO_PROVISIONING=fake to buy numbers and place
+// test calls without a Twilio account (calls are recorded, not dialed).
+
+// Numbers the fake has "in stock", per country
+const DEFAULT_INVENTORY = {
+  NL: ['+31201234501', '+31201234502', '+31101234501', '+31301234501', '+31851234501'],
+  BE: ['+3221234501', '+3231234501'],
+  DE: ['+49301234501', '+49891234501'],
+  GB: ['+442012345001', '+441612345001'],
+  US: ['+14155550101', '+14155550102', '+12125550101']
+};
+
+function notFound(sid) {
+  const error = new Error(`The requested resource /IncomingPhoneNumbers/${sid} was not found`);
+  error.status = 404;
+  return error;
+}
+
+function createFakeTwilioClient(inventory = DEFAULT_INVENTORY) {
+  const stock = {};
+  Object.keys(inventory).forEach(country => {
+    stock[country] = [...inventory[country]];
+  });
+
+  const owned = new Map(); // sid -> { sid, phoneNumber, friendlyName, voiceUrl, ... }
+  const placedCalls = [];
+  let nextSid = 1;
+
+  function availablePhoneNumbers(country) {
+    return {
+      local: {
+        list: async (params = {}) => {
+          const pattern = params.contains ? params.contains.replace(/\*+$/, '') : '';
+          const areaCode = params.areaCode ? String(params.areaCode) : '';
+
+          return (stock[country] || [])
+            .filter(number => !pattern || number.includes(pattern))
+            .filter(number => !areaCode || number.startsWith(`+1${areaCode}`))
+            .slice(0, params.limit || 20)
+            .map(number => ({ phoneNumber: number, friendlyName: number, locality: null, isoCountry: country }));
+        }
+      }
+    };
+  }
+
+  function incomingPhoneNumbers(sid) {
+    return {
+      remove: async () => {
+        const resource = owned.get(sid);
+        if (!resource) {
+          throw notFound(sid);
+        }
+        owned.delete(sid);
+        return true;
+      }
+    };
+  }
+
+  incomingPhoneNumbers.create = async (params) => {
+    const country = Object.keys(stock).find(code => stock[code].includes(params.phoneNumber));
+    if (!country) {
+      const error = new Error(`Phone number ${params.phoneNumber} is not available`);
+      error.status = 400;
+      throw error;
+    }
+
+    stock[country] = stock[country].filter(number => number !== params.phoneNumber);
+    const sid = `PNfake${String(nextSid++).padStart(26, '0')}`;
+    const resource = { ...params, sid };
+    owned.set(sid, resource);
+    return resource;
+  };
+
+  incomingPhoneNumbers.list = async (params = {}) => [...owned.values()]
+    .filter(resource => !params.phoneNumber || resource.phoneNumber === params.phoneNumber);
+
+  const calls = {
+    create: async (params) => {
+      const call = { ...params, sid: `CAfake${String(nextSid++).padStart(26, '0')}`, status: 'queued' };
+      placedCalls.push(call);
+      console.log(`[FAKE TWILIO] Call to ${params.to} recorded, not dialed`);
+      return call;
+    }
+  };
+
+  return { availablePhoneNumbers, incomingPhoneNumbers, calls, placedCalls };
+}
+
+module.exports = {
+  createFakeTwilioClient
+};
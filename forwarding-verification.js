@@ -0,0 +1,90 @@
+// Verification of call forwarding for businesses with connection_method 'forward_existing'.
+//
+// We call the owner's existing number from our verification caller ID. If forwarding
+// works, that call comes back in on the business's Twilio number through
+// /api/voice/incoming, where we listen for a one-time token that the test call plays
+// as DTMF tones. Receiving the right token marks forwarding as verified; a test call that
+// ends without it marks forwarding as broken.
+
+const crypto = require('crypto');
+const database = require('./database');
+
+// Minutes a verification token stays valid
+const TOKEN_TTL_MINUTES = 5;
+
+const TOKEN_LENGTH = 6;
+
+function verificationError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+// TwiML for the outgoing test call: wait for our own receptionist to answer, then play the token
+function buildTestCallTwiml(token) {
+  return `<Response><Pause length="4"/><Play digits="w${token}#"/><Pause length="10"/><Hangup/></Response>`;
+}
+
+// Start a verification: store a fresh token and place the test call
+async function startVerification(client, businessProfile, { callerId, baseUrl }) {
+  if (businessProfile.connection_method !== 'forward_existing') {
+    throw verificationError('Business does not forward an existing number', 'NOT_FORWARDING');
+  }
+  if (!businessProfile.twilio_number) {
+    throw verificationError('Business has no number to forward to', 'NO_TWILIO_NUMBER');
+  }
+  if (!businessProfile.owner_phone) {
+    throw verificationError('Business has no existing number to test', 'NO_OWNER_PHONE');
+  }
+
+  const token = String(crypto.randomInt(0, 10 ** TOKEN_LENGTH)).padStart(TOKEN_LENGTH, '0');
+  database.queries.startForwardingVerification.run(token, `+${TOKEN_TTL_MINUTES} minutes`, businessProfile.id);
+
+  const call = await client.calls.create({
+    to: businessProfile.owner_phone.replace(/[\s().-]/g, ''),
+    from: callerId,
+    twiml: buildTestCallTwiml(token),
+    timeout: 30,
+    statusCallback: `${baseUrl}/api/voice/forwarding-status?business=${businessProfile.id}`,
+    statusCallbackMethod: 'POST'
+  });
+
+  console.log(`[FORWARDING] Test call ${call.sid} placed for business ${businessProfile.id}`);
+  return { callSid: call.sid };
+}
+
+// Is this incoming call our own test call coming back through the forwarding?
+function isVerificationCall(businessProfile, from, callerId) {
+  return Boolean(callerId) && from === callerId && businessProfile.forwarding_status === 'pending';
+}
+
+// Check the digits heard on the incoming leg; returns true when forwarding is verified
+function confirmToken(businessProfile, digits) {
+  const cleaned = String(digits || '').replace(/\D/g, '');
+  const result = database.queries.confirmForwardingToken.run(businessProfile.id, cleaned);
+
+  if (result.changes > 0) {
+    console.log(`[FORWARDING] Verified for business ${businessProfile.id}`);
+    return true;
+  }
+
+  console.log(`[FORWARDING] Token mismatch or expired for business ${businessProfile.id}`);
+  return false;
+}
+
+// The outgoing test call ended; without a confirmed token, forwarding is broken
+function finishTestCall(businessId, callStatus) {
+  const result = database.queries.markForwardingBroken.run(businessId);
+  if (result.changes > 0) {
+    console.log(`[FORWARDING] Broken for business ${businessId} (test call ${callStatus})`);
+  }
+  return result.changes > 0;
+}
+
+module.exports = {
+  TOKEN_TTL_MINUTES,
+  startVerification,
+  isVerificationCall,
+  confirmToken,
+  finishTestCall
+};
@@ -0,0 +1,45 @@
+// Server-side texts from the website's translation files (public/locales/<lang>.json),
+// for emails and API messages that are shown to the user as they are.
+
+const fs = require('fs');
+const path = require('path');
+
+const SUPPORTED_LANGUAGES = ['en', 'nl', 'de', 'fr', 'es', 'ar'];
+const DEFAULT_LANGUAGE = 'nl';
+const FALLBACK_LANGUAGE = 'en';
+
+const locales = {};
+SUPPORTED_LANGUAGES.forEach(language => {
+  locales[language] = JSON.parse(fs.readFileSync(path.join(__dirname, 'public', 'locales', `${language}.json`), 'utf8'));
+});
+
+function normalizeLanguage(language) {
+  const code = String(language || '').toLowerCase().split('-')[0];
+  return SUPPORTED_LANGUAGES.includes(code) ? code : DEFAULT_LANGUAGE;
+}
+
+// Best match for the browser's Accept-Language header (without one, accepts() picks the first)
+function requestLanguage(req) {
+  return (req.get('Accept-Language') && req.acceptsLanguages(...SUPPORTED_LANGUAGES)) || DEFAULT_LANGUAGE;
+}
+
+function lookup(tree, key) {
+  return key.split('.').reduce((node, part) => (node && typeof node === 'object' ? node[part] : undefined), tree);
+}
+
+// i18next-style {{name}} placeholders
+function translate(language, key, data = {}) {
+  const text = lookup(locales[language], key) || lookup(locales[FALLBACK_LANGUAGE], key);
+  if (typeof text !== 'string') {
+    throw new Error(`Missing text ${key}`);
+  }
+  return text.replace(/{{\s*(\w+)\s*}}/g, (match, name) => (data[name] !== undefined ? String(data[name]) : ''));
+}
+
+module.exports = {
+  SUPPORTED_LANGUAGES,
+  DEFAULT_LANGUAGE,
+  normalizeLanguage,
+  requestLanguage,
+  translate
+};
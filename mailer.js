@@ -0,0 +1,191 @@
+// Transactional email: localized templates, pluggable transports and a send log.
+//
+// Templates live in the "email" section of public/locales/<lang>.json, so they are
+// translated together with the website. Every message is logged in email_log (template,
+// recipient, status, error) for auditing; failed sends are retried by retryFailed(), which
+// the server runs on its cleanup interval. Template data is kept only until the message
+// is sent, since it can contain reset and verification links.
+//
+// Transports (MAIL_TRANSPORT; defaults to smtp when SMTP_HOST is set, else outbox):
+//   smtp   - SMTP via nodemailer (SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS)
+//   outbox - writes every message as an .eml file to MAIL_OUTBOX_DIR (default ./outbox),
+//            for development and tests
+
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+const database = require('./database');
+const { SUPPORTED_LANGUAGES, DEFAULT_LANGUAGE, normalizeLanguage, translate } = require('./locales');
+
+// Failed messages are retried this many times in total, for up to a day
+const MAX_ATTEMPTS = 5;
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Subject, plain text and HTML of a template; paragraphs are separated by blank lines
+function renderTemplate(template, language, data = {}) {
+  const paragraphs = [
+    translate(language, 'email.common.greeting', data),
+    ...translate(language, `email.${template}.body`, data).split('\n\n'),
+    translate(language, 'email.common.signature', data)
+  ];
+
+  const html = paragraphs
+    .map(paragraph => escapeHtml(paragraph)
+      .replace(/https?:\/\/[^\s<]+/g, url => `<a href="${url}">${url}</a>`)
+      .replace(/\n/g, '<br>'))
+    .map(paragraph => `<p>${paragraph}</p>`)
+    .join('\n');
+
+  return {
+    subject: translate(language, `email.${template}.subject`, data),
+    text: paragraphs.join('\n\n'),
+    html: `<div dir="${language === 'ar' ? 'rtl' : 'ltr'}" style="font-family: Arial, sans-serif; line-height: 1.5;">\n${html}\n</div>`
+  };
+}
+
+function createSmtpTransport() {
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT, 10) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+  });
+
+  return {
+    name: 'smtp',
+    send: async (message) => {
+      const info = await transporter.sendMail(message);
+      return { messageId: info.messageId };
+    }
+  };
+}
+
+function createOutboxTransport(directory = process.env.MAIL_OUTBOX_DIR || path.join(__dirname, 'outbox')) {
+  const transporter = nodemailer.createTransport({ streamTransport: true, buffer: true });
+
+  return {
+    name: 'outbox',
+    directory: directory,
+    send: async (message) => {
+      const info = await transporter.sendMail(message);
+      await fs.promises.mkdir(directory, { recursive: true });
+
+      // The message ID keeps files apart when several mails go out in the same millisecond
+      const id = String(info.messageId).replace(/[<>]/g, '').split('@')[0];
+      const file = path.join(directory, `${Date.now()}-${message.to.replace(/[^\w.@-]/g, '_')}-${id}.eml`);
+      await fs.promises.writeFile(file, info.message);
+      console.log(`[EMAIL] Written to ${file}`);
+      return { messageId: info.messageId };
+    }
+  };
+}
+
+let transport = null;
+
+function getTransport() {
+  if (!transport) {
+    const name = process.env.MAIL_TRANSPORT || (process.env.SMTP_HOST ? 'smtp' : 'outbox');
+    transport = name === 'smtp' ? createSmtpTransport() : createOutboxTransport();
+    console.log(`[EMAIL] Using ${transport.name} transport`);
+  }
+  return transport;
+}
+
+function getFromAddress() {
+  return process.env.MAIL_FROM || 'Your AI Solution <noreply@youraisolution.nl>';
+}
+
+// Absolute link into the app for emails. Never built from request headers: a client
+// chooses its Host header, so a link from it could point a token at another site.
+function appUrl(pathname) {
+  const base = process.env.PUBLIC_BASE_URL || `http://localhost:${process.env.PORT || 3000}`;
+  return `${base.replace(/\/$/, '')}${pathname}`;
+}
+
+// Render and send a logged message; never throws (callers don't await it), returns true when sent
+async function deliver(logId) {
+  let entry = null;
+  let subject = null;
+  try {
+    entry = database.queries.findEmailLogById.get(logId);
+    const message = renderTemplate(entry.template, entry.language, JSON.parse(entry.data || '{}'));
+    subject = message.subject;
+
+    const info = await getTransport().send({ from: getFromAddress(), to: entry.to_address, ...message });
+    database.queries.markEmailSent.run(subject, info.messageId || null, logId);
+    console.log(`[EMAIL] ${entry.template} sent to ${entry.to_address} (log ${logId})`);
+    return true;
+  } catch (error) {
+    console.error(`[EMAIL] Log ${logId} (${entry ? entry.template : 'unknown'}) failed:`, error.message);
+    try {
+      database.queries.markEmailFailed.run(subject, error.message, logId);
+    } catch (logError) {
+      console.error(`[EMAIL] Could not mark log ${logId} as failed:`, logError.message);
+    }
+    return false;
+  }
+}
+
+// Send a template to one recipient; callers don't need to wait for it, so it never
+// throws and returns false when the message could not be logged or sent
+async function sendTemplate({ to, template, language, data = {}, customerId = null }) {
+  try {
+    const result = database.queries.createEmailLog.run(
+      customerId,
+      to,
+      template,
+      normalizeLanguage(language),
+      JSON.stringify(data)
+    );
+    return await deliver(result.lastInsertRowid);
+  } catch (error) {
+    console.error(`[EMAIL] ${template} to ${to} could not be logged:`, error.message);
+    return false;
+  }
+}
+
+// Send a failed message again; returns null when it can't be retried
+async function retry(logId) {
+  const entry = database.queries.findEmailLogById.get(logId);
+  if (!entry || entry.status !== 'failed' || entry.data === null) {
+    return null;
+  }
+  return deliver(logId);
+}
+
+// Retry failed messages from the last day that have attempts left
+async function retryFailed() {
+  const entries = database.queries.findRetryableEmails.all(MAX_ATTEMPTS);
+  let sent = 0;
+
+  for (const entry of entries) {
+    if (await deliver(entry.id)) {
+      sent++;
+    }
+  }
+
+  if (entries.length > 0) {
+    console.log(`[EMAIL] Retried ${entries.length} failed message(s), ${sent} sent`);
+  }
+  return sent;
+}
+
+module.exports = {
+  SUPPORTED_LANGUAGES,
+  DEFAULT_LANGUAGE,
+  normalizeLanguage,
+  renderTemplate,
+  createSmtpTransport,
+  createOutboxTransport,
+  appUrl,
+  sendTemplate,
+  retry,
+  retryFailed
+};
@@ -0,0 +1,127 @@
+// Buying and releasing Twilio numbers for businesses with connection_method 'new_number'.
+//
+// Works with the real Twilio REST client or the stand-in from fake-twilio-client.js.
+// Numbers bought here are stored with their Twilio SID so they can be released when
+// the account is cancelled; numbers assigned by hand (assign-number.js) are left alone.
+
+const database = require('./database');
+
+const DEFAULT_COUNTRY = 'NL';
+
+// Countries we sell numbers in, with their calling code
+const COUNTRY_CALLING_CODES = {
+  NL: '31',
+  BE: '32',
+  DE: '49',
+  GB: '44',
+  FR: '33',
+  ES: '34',
+  US: '1',
+  CA: '1'
+};
+
+// Twilio only supports the areaCode filter in North America
+const AREA_CODE_COUNTRIES = ['US', 'CA'];
+
+function provisioningError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+function isSupportedCountry(country) {
+  return Object.prototype.hasOwnProperty.call(COUNTRY_CALLING_CODES, country);
+}
+
+// Local numbers with voice for a country, optionally within an area code (e.g. 20 for Amsterdam)
+async function searchAvailableNumbers(client, { country = DEFAULT_COUNTRY, areaCode, limit = 5 } = {}) {
+  if (!isSupportedCountry(country)) {
+    throw provisioningError(`Unsupported country: ${country}`, 'UNSUPPORTED_COUNTRY');
+  }
+
+  const area = String(areaCode || '').replace(/\D/g, '').replace(/^0+/, '');
+  const prefix = `+${COUNTRY_CALLING_CODES[country]}${area}`;
+  const params = { voiceEnabled: true, limit: limit };
+
+  if (area && AREA_CODE_COUNTRIES.includes(country)) {
+    params.areaCode = Number(area);
+  } else if (area) {
+    params.contains = `${COUNTRY_CALLING_CODES[country]}${area}*`;
+  }
+
+  const numbers = await client.availablePhoneNumbers(country).local.list(params);
+
+  // "contains" matches anywhere in the number, keep only real area code matches
+  return numbers
+    .filter(number => number.phoneNumber.startsWith(prefix))
+    .map(number => ({
+      phone_number: number.phoneNumber,
+      friendly_name: number.friendlyName,
+      locality: number.locality || null
+    }));
+}
+
+// Buy a number for a business and point its webhooks at this server
+async function provisionNumber(client, businessProfile, { country = DEFAULT_COUNTRY, areaCode, phoneNumber, baseUrl }) {
+  if (businessProfile.twilio_number) {
+    throw provisioningError(`Business ${businessProfile.id} already has number ${businessProfile.twilio_number}`, 'ALREADY_PROVISIONED');
+  }
+
+  let chosenNumber = phoneNumber;
+  if (!chosenNumber) {
+    const available = await searchAvailableNumbers(client, { country, areaCode, limit: 1 });
+    if (available.length === 0) {
+      throw provisioningError(`No numbers available in ${country} ${areaCode || ''}`.trim(), 'NO_NUMBERS_AVAILABLE');
+    }
+    chosenNumber = available[0].phone_number;
+  }
+
+  const incoming = await client.incomingPhoneNumbers.create({
+    phoneNumber: chosenNumber,
+    friendlyName: `${businessProfile.business_name} (business ${businessProfile.id})`,
+    voiceUrl: `${baseUrl}/api/voice/incoming`,
+    voiceMethod: 'POST',
+    statusCallback: `${baseUrl}/api/voice/status`,
+    statusCallbackMethod: 'POST'
+  });
+
+  try {
+    database.queries.setProvisionedNumber.run(incoming.phoneNumber, incoming.sid, businessProfile.id);
+  } catch (error) {
+    // Don't keep paying for a number we could not store
+    await client.incomingPhoneNumbers(incoming.sid).remove();
+    throw error;
+  }
+
+  console.log(`[PROVISIONING] Bought ${incoming.phoneNumber} (${incoming.sid}) for business ${businessProfile.id}`);
+  return { phoneNumber: incoming.phoneNumber, sid: incoming.sid };
+}
+
+// Release the number bought for a business; returns the released number or null
+async function releaseNumber(client, businessProfile) {
+  if (!businessProfile.twilio_number_sid) {
+    return null;
+  }
+
+  try {
+    await client.incomingPhoneNumbers(businessProfile.twilio_number_sid).remove();
+  } catch (error) {
+    // Already gone on Twilio's side, still clear it here
+    if (error.status !== 404) {
+      throw error;
+    }
+  }
+
+  database.queries.clearProvisionedNumber.run(businessProfile.id);
+  console.log(`[PROVISIONING] Released ${businessProfile.twilio_number} for business ${businessProfile.id}`);
+  return businessProfile.twilio_number;
+}
+
+module.exports = {
+  DEFAULT_COUNTRY,
+  COUNTRY_CALLING_CODES,
+  isSupportedCountry,
+  searchAvailableNumbers,
+  provisionNumber,
+  releaseNumber
+};
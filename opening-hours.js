@@ -0,0 +1,244 @@
+// Structured weekly opening hours and "open now" evaluation.
+//
+// Stored format (business_profiles.opening_hours, JSON):
+//   { "monday": [{ "open": "09:00", "close": "17:00" }], ..., "sunday": [] }
+// A day can have several ranges (e.g. a lunch break). A range whose close time
+// is earlier than its open time runs past midnight into the next day.
+
+const DAYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+
+const DEFAULT_TIMEZONE = 'Europe/Amsterdam';
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+function toMinutes(time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+function isValidTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Normalize stored or submitted hours to the weekly format; returns null for free text
+// Also accepts the older wizard shape: { monday: { open: true, openTime, closeTime } }
+function parseOpeningHours(raw) {
+  let value = raw;
+
+  if (!value) {
+    return null;
+  }
+
+  if (typeof value === 'string') {
+    try {
+      value = JSON.parse(value);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    return null;
+  }
+
+  if (!DAYS.some(day => day in value)) {
+    return null;
+  }
+
+  const schedule = {};
+  for (const day of DAYS) {
+    const entry = value[day];
+
+    if (Array.isArray(entry)) {
+      schedule[day] = entry
+        .filter(range => range && typeof range === 'object')
+        .map(range => ({ open: range.open, close: range.close }));
+    } else if (entry && typeof entry === 'object' && 'openTime' in entry) {
+      schedule[day] = entry.open ? [{ open: entry.openTime, close: entry.closeTime }] : [];
+    } else {
+      schedule[day] = [];
+    }
+  }
+
+  return schedule;
+}
+
+// Check a normalized schedule; returns an error message or null
+function validateOpeningHours(schedule) {
+  for (const day of DAYS) {
+    for (const range of schedule[day]) {
+      if (!TIME_PATTERN.test(range.open || '') || !TIME_PATTERN.test(range.close || '')) {
+        return `Invalid time range on ${day}`;
+      }
+      if (range.open === range.close) {
+        return `Opening and closing time are the same on ${day}`;
+      }
+    }
+  }
+  return null;
+}
+
+// Stored hours ready for use; null for free text and for schedules that don't validate
+// (saved before validation), so the time calculations below never see a broken range
+function readOpeningHours(raw) {
+  const schedule = parseOpeningHours(raw);
+  return schedule && !validateOpeningHours(schedule) ? schedule : null;
+}
+
+// Weekday, date and time as seen on the wall clock in the given timezone
+function getLocalDateTime(timezone = DEFAULT_TIMEZONE, now = new Date()) {
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    weekday: 'long',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(now).forEach(part => {
+    parts[part.type] = part.value;
+  });
+
+  return {
+    day: parts.weekday.toLowerCase(),
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    time: `${parts.hour}:${parts.minute}`
+  };
+}
+
+// Add whole days to a YYYY-MM-DD string
+function addDays(date, days) {
+  const [year, month, day] = date.split('-').map(Number);
+  const shifted = new Date(Date.UTC(year, month - 1, day + days));
+  return shifted.toISOString().substring(0, 10);
+}
+
+// Weekday name for a YYYY-MM-DD string
+function getDayName(date) {
+  const [year, month, day] = date.split('-').map(Number);
+  const weekday = new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+  return DAYS[(weekday + 6) % 7];
+}
+
+// Open/closed status, closing time and next opening in the business's timezone
+function getOpeningStatus(schedule, timezone = DEFAULT_TIMEZONE, now = new Date()) {
+  const local = getLocalDateTime(timezone, now);
+  const nowMinutes = toMinutes(local.time);
+  const todayIndex = DAYS.indexOf(local.day);
+  const yesterday = DAYS[(todayIndex + 6) % 7];
+
+  // Ranges from yesterday that run past midnight are still open this morning
+  for (const range of schedule[yesterday]) {
+    if (toMinutes(range.close) < toMinutes(range.open) && nowMinutes < toMinutes(range.close)) {
+      return { isOpen: true, closesAt: range.close, nextOpening: null, local };
+    }
+  }
+
+  for (const range of schedule[local.day]) {
+    const open = toMinutes(range.open);
+    const close = toMinutes(range.close);
+    const overnight = close < open;
+    if (nowMinutes >= open && (overnight || nowMinutes < close)) {
+      return { isOpen: true, closesAt: range.close, nextOpening: null, local };
+    }
+  }
+
+  // Find the next opening, looking up to a week ahead
+  for (let offset = 0; offset <= 7; offset++) {
+    const day = DAYS[(todayIndex + offset) % 7];
+    const ranges = [...schedule[day]].sort((a, b) => toMinutes(a.open) - toMinutes(b.open));
+
+    for (const range of ranges) {
+      if (offset === 0 && toMinutes(range.open) <= nowMinutes) {
+        continue;
+      }
+      return {
+        isOpen: false,
+        closesAt: null,
+        nextOpening: { day, date: addDays(local.date, offset), time: range.open },
+        local
+      };
+    }
+  }
+
+  return { isOpen: false, closesAt: null, nextOpening: null, local };
+}
+
+// Is the business open at a given local date and time (used for bookings)
+function isOpenAt(schedule, date, time) {
+  const day = getDayName(date);
+  const yesterday = DAYS[(DAYS.indexOf(day) + 6) % 7];
+  const minutes = toMinutes(time);
+
+  const openToday = schedule[day].some(range => {
+    const open = toMinutes(range.open);
+    const close = toMinutes(range.close);
+    return minutes >= open && (close < open || minutes < close);
+  });
+
+  const openFromYesterday = schedule[yesterday].some(range =>
+    toMinutes(range.close) < toMinutes(range.open) && minutes < toMinutes(range.close)
+  );
+
+  return openToday || openFromYesterday;
+}
+
+// One line per day, e.g. "monday: 09:00-17:00" or "sunday: closed"
+function describeWeek(schedule) {
+  return DAYS.map(day => {
+    const ranges = schedule[day];
+    if (ranges.length === 0) {
+      return `${day}: closed`;
+    }
+    return `${day}: ${ranges.map(range => `${range.open}-${range.close}`).join(', ')}`;
+  }).join('\n');
+}
+
+// Facts for the system prompt, so the model does not have to guess whether the business is open
+function buildOpeningHoursFacts(openingHours, timezone = DEFAULT_TIMEZONE, now = new Date()) {
+  const schedule = readOpeningHours(openingHours);
+
+  if (!schedule) {
+    return typeof openingHours === 'string' && !parseOpeningHours(openingHours) ? openingHours : 'Not provided';
+  }
+
+  const tz = isValidTimezone(timezone) ? timezone : DEFAULT_TIMEZONE;
+  const status = getOpeningStatus(schedule, tz, now);
+
+  let current;
+  if (status.isOpen) {
+    current = `The business is OPEN right now and closes at ${status.closesAt}.`;
+  } else if (status.nextOpening) {
+    const when = status.nextOpening.date === status.local.date ? 'today' : `${status.nextOpening.day} ${status.nextOpening.date}`;
+    current = `The business is CLOSED right now. It opens again ${when} at ${status.nextOpening.time}.`;
+  } else {
+    current = 'The business is CLOSED right now and has no opening hours set.';
+  }
+
+  return `Current local time: ${status.local.day} ${status.local.date} ${status.local.time} (${tz})
+${current}
+Weekly schedule (24-hour clock):
+${describeWeek(schedule)}
+Use these facts when asked whether the business is open. Do not guess.`;
+}
+
+module.exports = {
+  DAYS,
+  DEFAULT_TIMEZONE,
+  isValidTimezone,
+  parseOpeningHours,
+  validateOpeningHours,
+  readOpeningHours,
+  getLocalDateTime,
+  getDayName,
+  getOpeningStatus,
+  isOpenAt,
+  buildOpeningHoursFacts
+};
@@ -0,0 +1,63 @@
+// Password reset links.
+//
+// A reset link carries a random token; only its SHA-256 hash is stored, so a leaked
+// database can't be used to reset passwords. Tokens expire after TOKEN_TTL_MINUTES and
+// work once. Sending a new link or resetting the password invalidates older links.
+// Account owners and team members both get links; a member's token refers to the member.
+
+const crypto = require('crypto');
+const database = require('./database');
+
+const TOKEN_TTL_MINUTES = 60;
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+// Create a reset token for the owner of a customer account, or for one of its team members;
+// returns the raw token for the link
+function createResetToken(customer, member = null) {
+  const token = crypto.randomBytes(32).toString('hex');
+  const memberId = member ? member.id : null;
+
+  database.queries.invalidatePasswordResetTokens.run(customer.id, memberId);
+  database.queries.createPasswordResetToken.run(customer.id, memberId, hashToken(token), `+${TOKEN_TTL_MINUTES} minutes`);
+
+  console.log(`[PASSWORD RESET] Link created for ${member ? `team member ${memberId} of ` : ''}customer ${customer.id}`);
+  return token;
+}
+
+// Is this token still usable? (for showing the form; does not use it up)
+function isValidToken(token) {
+  return Boolean(token) && Boolean(database.queries.findValidPasswordResetToken.get(hashToken(token)));
+}
+
+// Use up a token; returns { customerId, memberId } (memberId null for the owner), or null
+// when invalid, expired or used
+function consumeToken(token) {
+  if (!token) {
+    return null;
+  }
+
+  const row = database.queries.usePasswordResetToken.get(hashToken(token));
+  return row ? { customerId: row.customer_id, memberId: row.team_member_id } : null;
+}
+
+// Store the new password hash of the owner or a team member; their existing sessions stop working
+function resetPassword(customerId, passwordHash, memberId = null) {
+  if (memberId) {
+    database.queries.updateTeamMemberPassword.run(passwordHash, memberId, customerId);
+  } else {
+    database.queries.resetCustomerPassword.run(passwordHash, customerId);
+  }
+  database.queries.invalidatePasswordResetTokens.run(customerId, memberId);
+  console.log(`[PASSWORD RESET] Password reset for ${memberId ? `team member ${memberId} of ` : ''}customer ${customerId}, sessions invalidated`);
+}
+
+module.exports = {
+  TOKEN_TTL_MINUTES,
+  createResetToken,
+  isValidToken,
+  consumeToken,
+  resetPassword
+};
@@ -0,0 +1,90 @@
+// Vault for personal data taken out of stored conversations.
+//
+// When a business has redact_transcripts on, conversations are stored with tokens such as
+// [PHONE_1] in the summary and transcript (see redaction.js). The original values are kept
+// here, encrypted with AES-256-GCM under PII_VAULT_KEY (32 bytes, as 64 hex characters or
+// base64). Only the owner of the account can reveal them (dashboard and data export);
+// every reveal is logged. Without a key nothing is kept and redaction can't be undone.
+// Entries go with their conversation (ON DELETE CASCADE) and when retention empties it.
+
+const crypto = require('crypto');
+const database = require('./database');
+
+const TOKEN_PATTERN = /\[(?:EMAIL|IBAN|CARD|DOB|PHONE)_\d+\]/g;
+
+let cachedKey = null;
+
+function getKey() {
+  const setting = (process.env.PII_VAULT_KEY || '').trim();
+  if (!setting) {
+    return null;
+  }
+  if (cachedKey && cachedKey.setting === setting) {
+    return cachedKey.key;
+  }
+
+  const key = /^[0-9a-f]{64}$/i.test(setting) ? Buffer.from(setting, 'hex') : Buffer.from(setting, 'base64');
+  if (key.length !== 32) {
+    throw new Error('PII_VAULT_KEY must be 32 bytes (64 hex characters or base64)');
+  }
+  cachedKey = { setting: setting, key: key };
+  return key;
+}
+
+function isEnabled() {
+  return Boolean(getKey());
+}
+
+// iv.tag.ciphertext, base64
+function encrypt(value) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(String(value), 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64')).join('.');
+}
+
+function decrypt(sealed) {
+  const [iv, tag, encrypted] = sealed.split('.').map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', getKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+}
+
+function hasTokens(text) {
+  return typeof text === 'string' && new RegExp(TOKEN_PATTERN.source).test(text);
+}
+
+// Keep the values behind a conversation's tokens (entries from a tokenizer); returns how
+// many were stored, 0 when the vault is off
+function storeConversationValues(businessId, conversationId, entries) {
+  if (!isEnabled() || entries.length === 0) {
+    return 0;
+  }
+
+  entries.forEach(entry => {
+    database.queries.createVaultEntry.run(businessId, conversationId, entry.token, entry.kind, encrypt(entry.value));
+  });
+  return entries.length;
+}
+
+// The conversation with its tokens replaced by the original values (where the vault has them)
+function revealConversation(conversation) {
+  if (!conversation || !isEnabled() || !(hasTokens(conversation.summary) || hasTokens(conversation.full_transcript))) {
+    return conversation;
+  }
+
+  const values = new Map();
+  database.queries.findVaultEntriesByConversation.all(conversation.id, conversation.business_id).forEach(entry => {
+    values.set(entry.token, decrypt(entry.value_encrypted));
+  });
+
+  const reveal = text => (typeof text === 'string' ? text.replace(TOKEN_PATTERN, token => (values.has(token) ? values.get(token) : token)) : text);
+  return { ...conversation, summary: reveal(conversation.summary), full_transcript: reveal(conversation.full_transcript) };
+}
+
+module.exports = {
+  isEnabled,
+  hasTokens,
+  storeConversationValues,
+  revealConversation
+};
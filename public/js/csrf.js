@@ -0,0 +1,59 @@
+// CSRF protection for the pages: adds the CSRF-Token header to every state-changing
+// fetch() to this site. The token is fetched from /api/csrf-token on first use; when the
+// server rejects it (e.g. the session was replaced) a new one is fetched and the request
+// is sent once more. navigator.sendBeacon() can't send headers; it puts getCsrfToken() in
+// the body as _csrf instead.
+
+(function () {
+  const originalFetch = window.fetch.bind(window);
+  const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+  let tokenPromise = null;
+  let currentToken = null;
+
+  function getCsrfToken(refresh = false) {
+    if (!tokenPromise || refresh) {
+      tokenPromise = originalFetch('/api/csrf-token', { credentials: 'same-origin' })
+        .then(response => response.json())
+        .then(data => {
+          currentToken = data.csrfToken;
+          return currentToken;
+        })
+        .catch(error => {
+          tokenPromise = null;
+          throw error;
+        });
+    }
+    return tokenPromise;
+  }
+
+  function needsToken(input, init) {
+    const method = ((init && init.method) || (input instanceof Request ? input.method : 'GET')).toUpperCase();
+    const url = new URL(input instanceof Request ? input.url : input, window.location.href);
+    return !SAFE_METHODS.includes(method) && url.origin === window.location.origin;
+  }
+
+  async function fetchWithToken(input, init, refresh) {
+    const headers = new Headers((init && init.headers) || (input instanceof Request ? input.headers : undefined));
+    headers.set('CSRF-Token', await getCsrfToken(refresh));
+    return originalFetch(input, { ...init, headers: headers });
+  }
+
+  // The last token fetched, null before the first state-changing fetch()
+  window.getCsrfToken = function () {
+    return currentToken;
+  };
+
+  window.fetch = async function (input, init) {
+    if (!needsToken(input, init)) {
+      return originalFetch(input, init);
+    }
+
+    const response = await fetchWithToken(input, init, false);
+    if (response.status !== 403) {
+      return response;
+    }
+
+    const data = await response.clone().json().catch(() => ({}));
+    return data.code === 'EBADCSRFTOKEN' ? fetchWithToken(input, init, true) : response;
+  };
+})();
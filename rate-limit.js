@@ -0,0 +1,149 @@
+// Fixed-window request limits and login lockouts, stored in the rate_limits table so they
+// survive restarts.
+//
+// A limit allows `limit` units per key within `windowSeconds`; the window starts at the
+// first hit. A unit is usually one request, but can be anything that is counted, such as
+// Claude tokens (see consume()). Keys are namespaced by the caller and say what is limited:
+// an IP address, an account or an email address, e.g. "password-forgot:ip:203.0.113.7".
+//
+// Clients over a limit get a 429 with a Retry-After header and a message in their language
+// (the "errors" section of the locale files).
+
+const database = require('./database');
+const locales = require('./locales');
+
+function toSeconds(now) {
+  return Math.floor(now / 1000);
+}
+
+// Count `amount` units for a key; returns { allowed, count, remaining, retryAfterSeconds }
+function consume(key, amount, { limit, windowSeconds }, now = Date.now()) {
+  const nowSeconds = toSeconds(now);
+  const row = database.queries.findRateLimit.get(key);
+
+  let count = amount;
+  let expiresAt = nowSeconds + windowSeconds;
+  if (!row || row.expires_at <= nowSeconds) {
+    database.queries.startRateLimitWindow.run(key, amount, nowSeconds, expiresAt);
+  } else {
+    database.queries.incrementRateLimit.run(amount, key);
+    count = row.count + amount;
+    expiresAt = row.expires_at;
+  }
+
+  return {
+    allowed: count <= limit,
+    count: count,
+    remaining: Math.max(0, limit - count),
+    retryAfterSeconds: count <= limit ? 0 : expiresAt - nowSeconds
+  };
+}
+
+// Count one request for a key
+function hit(key, options, now = Date.now()) {
+  return consume(key, 1, options, now);
+}
+
+// Is anything left in a key's window? Does not count anything itself
+function peek(key, { limit }, now = Date.now()) {
+  const nowSeconds = toSeconds(now);
+  const row = database.queries.findRateLimit.get(key);
+  if (!row || row.expires_at <= nowSeconds) {
+    return { allowed: true, count: 0, remaining: limit, retryAfterSeconds: 0 };
+  }
+
+  const allowed = row.count < limit;
+  return {
+    allowed: allowed,
+    count: row.count,
+    remaining: Math.max(0, limit - row.count),
+    retryAfterSeconds: allowed ? 0 : row.expires_at - nowSeconds
+  };
+}
+
+// Answer 429; `textKey` is a message in the locale files, which may use {{minutes}}
+function sendTooManyRequests(req, res, retryAfterSeconds, textKey = 'errors.rate_limited') {
+  const minutes = Math.max(1, Math.ceil(retryAfterSeconds / 60));
+
+  res.set('Retry-After', String(retryAfterSeconds));
+  return res.status(429).json({
+    error: locales.translate(locales.requestLanguage(req), textKey, { minutes: minutes }),
+    code: 'RATE_LIMITED',
+    retryAfter: retryAfterSeconds
+  });
+}
+
+// Express middleware: count a request under the key keyOf(req) returns, e.g. 'ip:1.2.3.4'
+function limitBy(name, keyOf, options) {
+  return (req, res, next) => {
+    const key = `${name}:${keyOf(req)}`;
+    const result = hit(key, options);
+    if (!result.allowed) {
+      console.log(`[RATE LIMIT] ${key} over the limit of ${options.limit} per ${options.windowSeconds}s`);
+      return sendTooManyRequests(req, res, result.retryAfterSeconds);
+    }
+    next();
+  };
+}
+
+// Per client IP address
+function limitByIp(name, options) {
+  return limitBy(name, req => `ip:${req.ip}`, options);
+}
+
+// Per logged-in account (after requireRole)
+function limitByAccount(name, options) {
+  return limitBy(name, req => `customer:${req.session.userId}`, options);
+}
+
+// Progressive lockout after failed attempts, e.g. logins. The first `freeAttempts` failures
+// within `resetAfterSeconds` cost nothing; each one after that locks the key for
+// `baseSeconds`, doubling with every further failure up to `maxSeconds`.
+function createLockout(name, { freeAttempts, baseSeconds, maxSeconds, resetAfterSeconds }) {
+  const failuresKey = id => `${name}:failures:${id}`;
+  const lockKey = id => `${name}:lock:${id}`;
+
+  return {
+    // Seconds until `id` may try again; 0 when it isn't locked
+    lockedFor(id, now = Date.now()) {
+      const row = database.queries.findRateLimit.get(lockKey(id));
+      return row && row.expires_at > toSeconds(now) ? row.expires_at - toSeconds(now) : 0;
+    },
+
+    // Count a failure; returns the seconds `id` is now locked for (0 = not locked)
+    recordFailure(id, now = Date.now()) {
+      const failures = consume(failuresKey(id), 1, { limit: freeAttempts, windowSeconds: resetAfterSeconds }, now);
+      if (failures.allowed) {
+        return 0;
+      }
+
+      const lockSeconds = Math.min(maxSeconds, baseSeconds * 2 ** (failures.count - freeAttempts - 1));
+      database.queries.startRateLimitWindow.run(lockKey(id), failures.count, toSeconds(now), toSeconds(now) + lockSeconds);
+      console.log(`[RATE LIMIT] ${name} ${id} locked for ${lockSeconds}s after ${failures.count} failures`);
+      return lockSeconds;
+    },
+
+    // Forget the failures of `id`, e.g. after a successful login
+    reset(id) {
+      database.queries.deleteRateLimit.run(failuresKey(id));
+      database.queries.deleteRateLimit.run(lockKey(id));
+    }
+  };
+}
+
+// Forget windows that have ended
+function purgeExpired(now = Date.now()) {
+  return database.queries.deleteExpiredRateLimits.run(toSeconds(now)).changes;
+}
+
+module.exports = {
+  consume,
+  hit,
+  peek,
+  sendTooManyRequests,
+  limitBy,
+  limitByIp,
+  limitByAccount,
+  createLockout,
+  purgeExpired
+};
@@ -0,0 +1,401 @@
+const database = require('./database');
+const openingHours = require('./opening-hours');
+const slots = require('./slots');
+
+// Claude tool definitions the receptionist can use during calls and chats
+const TOOL_DEFINITIONS = {
+  find_available_slots: {
+    name: 'find_available_slots',
+    description: 'Look up free appointment times for a service on a given date. Use this before proposing any time to the customer.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        service: { type: 'string', description: 'The service the customer wants' },
+        date: { type: 'string', description: 'Date in YYYY-MM-DD format' },
+        preferred_time: { type: 'string', description: 'Time the customer would like, in 24-hour HH:MM format (optional)' }
+      },
+      required: ['service', 'date']
+    }
+  },
+  book_appointment: {
+    name: 'book_appointment',
+    description: 'Book an appointment or reservation for the customer. Only call this after the customer has confirmed the service, date and time, and you know their name.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        customer_name: { type: 'string', description: 'Full name of the customer' },
+        customer_phone: { type: 'string', description: 'Phone number of the customer. Leave empty on phone calls to use the caller\'s number.' },
+        service: { type: 'string', description: 'The service, treatment or reservation type, e.g. "haircut" or "table for 4"' },
+        date: { type: 'string', description: 'Date in YYYY-MM-DD format' },
+        time: { type: 'string', description: 'Start time in 24-hour HH:MM format' },
+        notes: { type: 'string', description: 'Anything else the business should know' }
+      },
+      required: ['customer_name', 'service', 'date', 'time']
+    }
+  },
+  request_callback: {
+    name: 'request_callback',
+    description: 'Ask the team to call the customer back. Use this when you cannot answer a question or the customer wants to speak to someone later.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        customer_name: { type: 'string', description: 'Name of the customer' },
+        customer_phone: { type: 'string', description: 'Number to call back. Leave empty on phone calls to use the caller\'s number.' },
+        reason: { type: 'string', description: 'Short description of what the customer needs' }
+      },
+      required: ['customer_name', 'reason']
+    }
+  },
+  transfer_call: {
+    name: 'transfer_call',
+    description: 'Put the caller through to a person at the business. Use this when the caller asks to speak to a person, the owner or a staff member, or when something urgent needs a human.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        reason: { type: 'string', description: 'Short description of why the caller wants a person' }
+      },
+      required: []
+    }
+  }
+};
+
+// Strip spaces and separators so Twilio can dial numbers as they were entered
+function normalizePhoneNumber(phone) {
+  return (phone || '').replace(/[\s().-]/g, '');
+}
+
+// Wall-clock date and time in the business's timezone
+function getBusinessNow(businessInfo, now) {
+  const timezone = openingHours.isValidTimezone(businessInfo.timezone) ? businessInfo.timezone : openingHours.DEFAULT_TIMEZONE;
+  return openingHours.getLocalDateTime(timezone, now);
+}
+
+// Check a requested booking against the business; returns an error message or null
+function validateBooking(input, businessInfo, now = new Date()) {
+  const { customer_name, service, date, time } = input;
+
+  if (!customer_name || !customer_name.trim()) {
+    return 'The customer name is missing.';
+  }
+
+  if (!service || !service.trim()) {
+    return 'The service is missing.';
+  }
+
+  if (Array.isArray(businessInfo.services) && businessInfo.services.length > 0) {
+    const known = businessInfo.services.some(s => (s.name || s).toLowerCase() === service.trim().toLowerCase());
+    if (!known) {
+      const names = businessInfo.services.map(s => s.name || s).join(', ');
+      return `Unknown service "${service}". Offered services: ${names}.`;
+    }
+  }
+
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(date || '')) {
+    return 'The date must be in YYYY-MM-DD format.';
+  }
+
+  const [year, month, day] = date.split('-').map(Number);
+  const requestedDay = new Date(Date.UTC(year, month - 1, day));
+  if (requestedDay.getUTCMonth() !== month - 1 || requestedDay.getUTCDate() !== day) {
+    return `${date} is not a valid date.`;
+  }
+
+  if (!/^([01]\d|2[0-3]):[0-5]\d$/.test(time || '')) {
+    return 'The time must be in 24-hour HH:MM format.';
+  }
+
+  // Dates and times are on the business's wall clock
+  const businessNow = getBusinessNow(businessInfo, now);
+  if (`${date} ${time}` <= `${businessNow.date} ${businessNow.time}`) {
+    return `${date} ${time} is in the past. Today is ${businessNow.date}.`;
+  }
+
+  const schedule = openingHours.readOpeningHours(businessInfo.openingHours);
+  if (schedule && !openingHours.isOpenAt(schedule, date, time)) {
+    const dayName = openingHours.getDayName(date);
+    const ranges = schedule[dayName].map(range => `${range.open}-${range.close}`).join(', ');
+    return ranges
+      ? `On ${dayName} the business is open ${ranges}.`
+      : `The business is closed on ${dayName}.`;
+  }
+
+  return null;
+}
+
+// Everything the slot engine needs for one business and service
+function loadAvailability(session, serviceName, date) {
+  const business = database.queries.findBusinessById.get(session.businessId);
+  const services = database.queries.findServicesByBusinessId.all(session.businessId);
+  const schedule = openingHours.readOpeningHours(business && business.opening_hours) ||
+    openingHours.readOpeningHours(session.businessInfo.openingHours);
+
+  // Businesses without a service list accept any service at the default duration
+  let service = slots.findService(services, serviceName);
+  if (!service && services.length === 0 && serviceName) {
+    service = { name: serviceName.trim(), duration_minutes: slots.DEFAULT_DURATION_MINUTES, buffer_minutes: 0 };
+  }
+
+  return {
+    schedule,
+    service,
+    services,
+    date,
+    appointments: database.queries.findConfirmedAppointmentsOnDate.all(session.businessId, date),
+    capacity: (business && business.booking_capacity) || 1,
+    interval: (business && business.slot_interval_minutes) || slots.DEFAULT_SLOT_INTERVAL_MINUTES
+  };
+}
+
+// Free times for a service on a date, nearest to the preferred time
+function findSlots(input, session) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(input.date || '')) {
+    return { error: 'The date must be in YYYY-MM-DD format.' };
+  }
+
+  const availability = loadAvailability(session, input.service, input.date);
+  if (!availability.service) {
+    const names = availability.services.map(service => service.name).join(', ');
+    return { error: `Unknown service "${input.service}". Offered services: ${names}.` };
+  }
+
+  if (!availability.schedule) {
+    return { error: 'No opening hours are set up, so times cannot be checked. Take the customer\'s details and say the team will confirm.' };
+  }
+
+  const businessNow = getBusinessNow(session.businessInfo);
+  if (input.date < businessNow.date) {
+    return { error: `${input.date} is in the past. Today is ${businessNow.date}.` };
+  }
+
+  const freeSlots = slots.findAvailableSlots({
+    ...availability,
+    notBefore: input.date === businessNow.date ? businessNow.time : null,
+    preferredTime: input.preferred_time,
+    count: 3
+  });
+
+  return {
+    service: availability.service.name,
+    duration_minutes: availability.service.duration_minutes,
+    date: input.date,
+    day: openingHours.getDayName(input.date),
+    available_times: freeSlots,
+    fully_booked: freeSlots.length === 0
+  };
+}
+
+// Insert a validated appointment and mark the conversation as booked
+function bookAppointment(input, session) {
+  const customerPhone = (input.customer_phone || '').trim() || session.from;
+  if (!customerPhone) {
+    return { error: 'The customer phone number is missing. Ask the customer for it.' };
+  }
+
+  const availability = loadAvailability(session, input.service, input.date);
+
+  const validationError = validateBooking(input, {
+    ...session.businessInfo,
+    openingHours: availability.schedule || session.businessInfo.openingHours,
+    services: availability.services
+  });
+  if (validationError) {
+    return { error: validationError };
+  }
+
+  // Capacity and service duration are only known for structured opening hours
+  if (availability.schedule && !slots.isSlotAvailable({ ...availability, time: input.time })) {
+    const businessNow = getBusinessNow(session.businessInfo);
+    const alternatives = slots.findAvailableSlots({
+      ...availability,
+      notBefore: input.date === businessNow.date ? businessNow.time : null,
+      preferredTime: input.time,
+      count: 3
+    });
+    return {
+      error: `${input.date} ${input.time} is not available.`,
+      alternative_times: alternatives
+    };
+  }
+
+  const serviceName = availability.service ? availability.service.name : input.service.trim();
+  const result = database.queries.createAppointment.run(
+    session.businessId,
+    input.customer_name.trim(),
+    customerPhone,
+    serviceName,
+    input.date,
+    input.time,
+    availability.service ? availability.service.duration_minutes : null,
+    input.notes || null
+  );
+
+  session.actionTaken = 'appointment_booked';
+  if (session.bookingsThisTurn) {
+    session.bookingsThisTurn.push({ date: input.date, time: input.time, service: serviceName });
+  }
+  console.log(`[BOOKING] Appointment ${result.lastInsertRowid} booked for business ${session.businessId} on ${input.date} ${input.time}`);
+
+  return {
+    success: true,
+    appointment_id: result.lastInsertRowid,
+    date: input.date,
+    time: input.time,
+    service: serviceName
+  };
+}
+
+// Store a callback request for the team
+function requestCallback(input, session) {
+  const customerName = (input.customer_name || '').trim();
+  const customerPhone = (input.customer_phone || '').trim() || session.from;
+
+  if (!customerName) {
+    return { error: 'The customer name is missing. Ask the customer for it.' };
+  }
+  if (!customerPhone) {
+    return { error: 'The customer phone number is missing. Ask the customer for it.' };
+  }
+
+  const result = database.queries.createCallbackRequest.run(
+    session.businessId,
+    customerName,
+    customerPhone,
+    (input.reason || '').trim() || null
+  );
+
+  // A booked appointment is the more important outcome of the conversation
+  if (session.actionTaken !== 'appointment_booked') {
+    session.actionTaken = 'callback_requested';
+  }
+  console.log(`[CALLBACK] Request ${result.lastInsertRowid} created for business ${session.businessId}`);
+
+  return { success: true, callback_id: result.lastInsertRowid, customer_phone: customerPhone };
+}
+
+// Queue a live transfer; the voice webhook dials the owner, then the backup phone
+function transferCall(input, session) {
+  if (!session.from) {
+    return { error: 'Transfers are only possible on phone calls. Offer a callback instead.' };
+  }
+  if (session.transferUnavailable) {
+    return { error: 'Nobody answered the last transfer. Offer a callback instead.' };
+  }
+
+  const business = database.queries.findBusinessById.get(session.businessId);
+  const targets = [business && business.owner_phone, business && business.backup_phone]
+    .map(normalizePhoneNumber)
+    .filter((phone, index, all) => phone && all.indexOf(phone) === index);
+
+  if (targets.length === 0) {
+    return { error: 'No phone number is set up for transfers. Offer a callback instead.' };
+  }
+
+  session.pendingTransfer = {
+    reason: (input.reason || '').trim() || null,
+    targets: targets,
+    attempt: 0
+  };
+  console.log(`[TRANSFER] Requested for business ${session.businessId}: ${session.pendingTransfer.reason || 'no reason given'}`);
+
+  return { success: true, message: 'The caller is put through right after your reply.' };
+}
+
+// Tools offered for a call or chat session (only stored businesses can take bookings)
+function getToolsForSession(session) {
+  if (!session.businessId) {
+    return [];
+  }
+
+  const tools = [
+    TOOL_DEFINITIONS.find_available_slots,
+    TOOL_DEFINITIONS.book_appointment,
+    TOOL_DEFINITIONS.request_callback
+  ];
+
+  // Live transfers only make sense on a phone call, and not again after nobody answered
+  if (session.from && !session.transferUnavailable) {
+    tools.push(TOOL_DEFINITIONS.transfer_call);
+  }
+
+  return tools;
+}
+
+// Extra system prompt instructions that go with the offered tools
+function getToolPrompt(session, now = new Date()) {
+  if (!session.businessId) {
+    return '';
+  }
+
+  const businessNow = getBusinessNow(session.businessInfo, now);
+  const services = database.queries.findServicesByBusinessId.all(session.businessId);
+  const serviceList = services.length > 0
+    ? services.map(service => `${service.name} (${service.duration_minutes} min)`).join(', ')
+    : 'any service the customer asks for';
+
+  return `
+
+BOOKING APPOINTMENTS:
+- Today is ${businessNow.day} ${businessNow.date}. Use this to work out dates like "tomorrow" or "next Friday"
+- Bookable services: ${serviceList}
+- Before proposing a time, use the find_available_slots tool and only offer times it returns. Never invent times
+- If a day is fully booked, offer to check another day
+- Confirm the service, date, time and name back to the customer before booking
+- Once they confirm, use the book_appointment tool. Never say an appointment is booked unless the tool returned success
+- If the tool returns an error, explain the problem briefly and suggest an alternative
+
+CALLBACK REQUESTS:
+- If you can't answer something, or the customer wants someone to call them back, offer a callback
+- Ask for their name and what it's about. ${session.from ? 'On this call you can use the caller\'s number, just confirm it\'s the right one to call back' : 'Ask for their phone number'}
+- Then use the request_callback tool and tell them the team will call back${getTransferPrompt(session)}`;
+}
+
+// Prompt section for live transfers on phone calls
+function getTransferPrompt(session) {
+  if (!session.from) {
+    return '';
+  }
+
+  if (session.transferUnavailable) {
+    return `
+
+TRANSFERRING TO A PERSON:
+- A transfer was tried but nobody answered. Don't try again, offer a callback instead`;
+  }
+
+  return `
+
+TRANSFERRING TO A PERSON:
+- If the caller asks to speak to a person, the owner or a staff member, or something urgent needs a human, use the transfer_call tool
+- After using it, only say one short sentence that you're putting them through. The call is connected right after your reply
+- If the tool returns an error, offer a callback instead`;
+}
+
+// Execute a tool call from Claude; returns the content for the tool_result block
+function runTool(name, input, session) {
+  try {
+    switch (name) {
+      case 'find_available_slots':
+        return findSlots(input, session);
+      case 'book_appointment':
+        return bookAppointment(input, session);
+      case 'request_callback':
+        return requestCallback(input, session);
+      case 'transfer_call':
+        return transferCall(input, session);
+      default:
+        return { error: `Unknown tool: ${name}` };
+    }
+  } catch (error) {
+    console.error(`[TOOL] ${name} failed:`, error.message);
+    return { error: 'Something went wrong while handling this request.' };
+  }
+}
+
+module.exports = {
+  TOOL_DEFINITIONS,
+  validateBooking,
+  findSlots,
+  getToolsForSession,
+  getToolPrompt,
+  runTool
+};
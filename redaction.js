@@ -0,0 +1,165 @@
+// Redaction of personal data (PII) in free text: what callers say, Claude's replies, the
+// TwiML we send back and anything else that ends up in logs or stored transcripts.
+//
+// Detected are email addresses, IBANs (mod-97 checked), card numbers (Luhn checked), dates
+// of birth (full dates in an earlier year) and phone numbers (starting with +, 00 or 0).
+//   redact(text)      - replaces each value with its kind, e.g. [PHONE]; for logs
+//   createTokenizer() - replaces each value with a numbered token, e.g. [PHONE_1], and keeps
+//                       the values, so they can be stored in the vault (see pii-vault.js)
+// installLogRedaction() makes every console.log/info/warn/error redact its output; set
+// LOG_REDACTION=false to see the raw values while debugging locally.
+
+const util = require('util');
+
+const MONTHS = [
+  // en, nl, de, fr, es
+  'january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december',
+  'januari', 'februari', 'maart', 'mei', 'juni', 'juli', 'augustus', 'oktober',
+  'januar', 'februar', 'märz', 'dezember',
+  'janvier', 'février', 'mars', 'avril', 'juin', 'juillet', 'août', 'septembre', 'octobre', 'novembre', 'décembre',
+  'enero', 'febrero', 'marzo', 'abril', 'mayo', 'junio', 'julio', 'agosto', 'septiembre', 'octubre', 'noviembre', 'diciembre'
+];
+
+function digitsOf(value) {
+  return value.replace(/\D/g, '');
+}
+
+// ISO 13616: move the first four characters to the end, letters to numbers, mod 97 = 1
+function isValidIban(value) {
+  const iban = value.replace(/\s/g, '').toUpperCase();
+  if (iban.length < 15 || iban.length > 34) {
+    return false;
+  }
+
+  const numeric = (iban.substring(4) + iban.substring(0, 4))
+    .split('')
+    .map(char => (/[A-Z]/.test(char) ? String(char.charCodeAt(0) - 55) : char))
+    .join('');
+
+  let remainder = 0;
+  for (const digit of numeric) {
+    remainder = (remainder * 10 + Number(digit)) % 97;
+  }
+  return remainder === 1;
+}
+
+function passesLuhn(value) {
+  const digits = digitsOf(value);
+  if (digits.length < 13 || digits.length > 19) {
+    return false;
+  }
+
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) {
+        digit -= 9;
+      }
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+// Appointments are in this year or later; a full date in an earlier year is taken for a birth date
+function isPastYearDate(value) {
+  const year = Number((value.match(/(19|20)\d{2}/) || [])[0]);
+  return year >= 1900 && year < new Date().getFullYear();
+}
+
+function isPhoneNumber(value) {
+  const digits = digitsOf(value);
+  return digits.length >= 9 && digits.length <= 15;
+}
+
+// In order: earlier kinds are replaced first, so e.g. the digits of an IBAN are not taken for a phone number
+const DETECTORS = [
+  {
+    kind: 'EMAIL',
+    pattern: /[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/gi
+  },
+  {
+    kind: 'IBAN',
+    pattern: /\b[A-Z]{2}\d{2}(?: ?[A-Z0-9]{4}){2,7}(?: ?[A-Z0-9]{1,3})?\b/g,
+    isMatch: isValidIban
+  },
+  {
+    kind: 'CARD',
+    pattern: /(?<![\w+])[2-6]\d{3}(?:[ -]?\d){9,15}(?!\w)/g,
+    isMatch: passesLuhn
+  },
+  {
+    kind: 'DOB',
+    pattern: new RegExp(
+      '\\b(?:\\d{1,2}[-/.]\\d{1,2}[-/.](?:19|20)\\d{2}|(?:19|20)\\d{2}-\\d{2}-\\d{2}|' +
+      `\\d{1,2}\\.? (?:${MONTHS.join('|')}) (?:19|20)\\d{2}|(?:${MONTHS.join('|')}) \\d{1,2},? (?:19|20)\\d{2})\\b`,
+      'giu'
+    ),
+    isMatch: isPastYearDate
+  },
+  {
+    kind: 'PHONE',
+    pattern: /(?<![\w+])(?:\+|00|0)\d(?:[\s().-]{0,2}\d){7,16}(?!\w)/g,
+    isMatch: isPhoneNumber
+  }
+];
+
+// Replace every detected value with replacement(kind, value)
+function replacePii(text, replacement) {
+  if (typeof text !== 'string' || text.length === 0) {
+    return text;
+  }
+
+  return DETECTORS.reduce((result, detector) => result.replace(detector.pattern, match => (
+    !detector.isMatch || detector.isMatch(match) ? replacement(detector.kind, match) : match
+  )), text);
+}
+
+function redact(text) {
+  return replacePii(text, kind => `[${kind}]`);
+}
+
+// Numbered tokens for one conversation; the same value gets the same token everywhere
+function createTokenizer() {
+  const tokens = new Map();
+  const counts = {};
+
+  return {
+    tokenize(text) {
+      return replacePii(text, (kind, value) => {
+        const key = `${kind}:${value}`;
+        if (!tokens.has(key)) {
+          counts[kind] = (counts[kind] || 0) + 1;
+          tokens.set(key, { token: `[${kind}_${counts[kind]}]`, kind: kind, value: value });
+        }
+        return tokens.get(key).token;
+      });
+    },
+
+    // [{ token, kind, value }]
+    entries() {
+      return Array.from(tokens.values());
+    }
+  };
+}
+
+// Route console output through redact(); call once at startup
+function installLogRedaction(target = console) {
+  if (process.env.LOG_REDACTION === 'false') {
+    return false;
+  }
+
+  ['log', 'info', 'warn', 'error'].forEach(method => {
+    const original = target[method].bind(target);
+    target[method] = (...args) => original(redact(util.format(...args)));
+  });
+  return true;
+}
+
+module.exports = {
+  redact,
+  createTokenizer,
+  installLogRedaction
+};
@@ -30,6 +30,7 @@ async function seed() {
     );
 
     const customerId = result.lastInsertRowid;
+    queries.markEmailVerified.run(customerId);
 
     console.log('✅ Test customer created:');
     console.log('   Email: test@youraisolution.nl');
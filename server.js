@@ -1,20 +1,60 @@
 require('dotenv').config();
 const express = require('express');
 const path = require('path');
+const crypto = require('crypto');
 const Anthropic = require('@anthropic-ai/sdk');
 const twilio = require('twilio');
 const VoiceResponse = twilio.twiml.VoiceResponse;
 const bcrypt = require('bcrypt');
 const session = require('express-session');
+const csrf = require('csurf');
 const database = require('./database');
+const receptionistTools = require('./receptionist-tools');
+const openingHours = require('./opening-hours');
+const numberProvisioning = require('./number-provisioning');
+const forwardingVerification = require('./forwarding-verification');
+const trialUsage = require('./trial-usage');
+const usageMetering = require('./usage-metering');
+const accountLifecycle = require('./account-lifecycle');
+const accountDeletion = require('./account-deletion');
+const dataRetention = require('./data-retention');
+const dataExport = require('./data-export');
+const billing = require('./billing');
+const passwordReset = require('./password-reset');
+const emailVerification = require('./email-verification');
+const mailer = require('./mailer');
+const locales = require('./locales');
+const rateLimit = require('./rate-limit');
+const team = require('./team');
+const redaction = require('./redaction');
+const piiVault = require('./pii-vault');
+const { getPublicBaseUrl, requireTwilioSignature } = require('./twilio-signature');
+const { createFakeTwilioClient } = require('./fake-twilio-client');
+const { createFakeBillingProvider } = require('./fake-billing-provider');
+
+// Phone numbers, email addresses, IBANs, card numbers and birth dates in speech results,
+// replies and TwiML never reach the logs (LOG_REDACTION=false shows them while debugging)
+redaction.installLogRedaction();
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Behind a reverse proxy (e.g. Render), trust its X-Forwarded-* headers for the client IP,
+// protocol and host: TRUST_PROXY=true, a number of hops, or a list of proxy addresses
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY;
+  app.set('trust proxy', trustProxy === 'true' ? true : (/^\d+$/.test(trustProxy) ? parseInt(trustProxy, 10) : trustProxy));
+}
+
 // Initialize database and queries
 database.initializeDatabase();
 const queries = database.queries;
 
+// Fails on a malformed PII_VAULT_KEY, before any conversation depends on it
+if (!piiVault.isEnabled()) {
+  console.warn('PII_VAULT_KEY not configured. Redacted transcripts cannot be revealed.');
+}
+
 // Initialize Anthropic client
 const anthropic = new Anthropic({
   apiKey: process.env.ANTHROPIC_API_KEY,
@@ -39,14 +79,58 @@ if (process.env.TWILIO_ACCOUNT_SID &&
   console.warn('Twilio credentials not configured. Voice calls will not work.');
 }
 
+// Client used to buy and release numbers and place forwarding test calls
+// (TWILIO_PROVISIONING=fake uses an in-memory stand-in)
+const provisioningClient = process.env.TWILIO_PROVISIONING === 'fake'
+  ? createFakeTwilioClient()
+  : twilioClient;
+
+// Subscription billing (BILLING_PROVIDER=fake pays without a Stripe account; its events are
+// signed with a secret of its own unless BILLING_WEBHOOK_SECRET is set)
+const billingWebhookSecret = process.env.BILLING_WEBHOOK_SECRET ||
+  (process.env.BILLING_PROVIDER === 'fake' ? crypto.randomBytes(32).toString('hex') : '');
+let billingProvider = null;
+if (process.env.BILLING_PROVIDER === 'fake') {
+  billingProvider = createFakeBillingProvider(billingWebhookSecret);
+} else if (process.env.STRIPE_SECRET_KEY) {
+  billingProvider = billing.createStripeProvider(process.env.STRIPE_SECRET_KEY);
+}
+
 // Configuration: Set to false for testing, true for production
 const ENABLE_TRIAL_RESTRICTIONS = process.env.ENABLE_TRIAL_RESTRICTIONS === 'true' || false;
 
-// In-memory storage for call sessions and trial tracking
-const callSessions = new Map(); // CallSid -> { businessInfo, conversationHistory, startTime, businessName, from, lastLanguage }
-const trialPhoneNumbers = new Set(); // Phone numbers that have used their free trial
+// In-memory storage for call and chat sessions (trial usage per number is stored in SQLite)
+const callSessions = new Map(); // CallSid -> { businessInfo, businessId, isTrialDemo, trialLimitMinutes, conversationHistory, startTime, businessName, from, lastLanguage, actionTaken, pendingTransfer }
 const businessSessions = new Map(); // SessionId -> { businessInfo, createdAt, sessionId }
-const twilioNumberToSession = new Map(); // Twilio number -> SessionId mapping for multi-number support
+const chatSessions = new Map(); // ChatId -> { businessInfo, businessId, conversationHistory, startTime, lastActivity, actionTaken }
+
+// Web chats without activity for this long are considered finished
+const CHAT_IDLE_TIMEOUT_MS = 30 * 60 * 1000;
+
+// Open web chats kept in memory at most; new chats are refused beyond this
+const MAX_CHAT_SESSIONS = 1000;
+
+// Longest visitor message passed on to Claude
+const MAX_CHAT_MESSAGE_LENGTH = 2000;
+
+// Maximum Claude round trips per reply when the receptionist uses tools
+const MAX_TOOL_ROUNDS = 4;
+
+// Seconds a live transfer rings before trying the next number
+const TRANSFER_DIAL_TIMEOUT_SECONDS = 20;
+
+// Failed logins lock the email address, and (more leniently, since offices share one)
+// the IP address, for 1 minute after 5 failures, doubling with every further failure
+const LOGIN_LOCKOUTS = {
+  email: rateLimit.createLockout('login-email', { freeAttempts: 5, baseSeconds: 60, maxSeconds: 60 * 60, resetAfterSeconds: 24 * 60 * 60 }),
+  ip: rateLimit.createLockout('login-ip', { freeAttempts: 20, baseSeconds: 60, maxSeconds: 60 * 60, resetAfterSeconds: 24 * 60 * 60 })
+};
+
+// Claude tokens the web chat may use per IP address per day (CHAT_TOKEN_BUDGET_PER_IP)
+const CHAT_TOKEN_BUDGET = {
+  limit: parseInt(process.env.CHAT_TOKEN_BUDGET_PER_IP, 10) || 200000,
+  windowSeconds: 24 * 60 * 60
+};
 
 // Language to Polly voice mapping (for text-to-speech)
 const LANGUAGE_VOICE_MAP = {
@@ -153,6 +237,59 @@ function getColleagueGreeting(newLang, businessName) {
   return templates[newLang] || templates['en-US'];
 }
 
+// Messages played around a live transfer to the owner or backup phone
+function getTransferMessage(lang, type) {
+  const templates = {
+    hold: {
+      'nl-NL': 'Een moment alstublieft, ik verbind u door.',
+      'en-US': 'Please hold while I put you through.',
+      'en-GB': 'Please hold while I put you through.',
+      'de-DE': 'Bitte bleiben Sie dran, ich verbinde Sie.',
+      'fr-FR': 'Veuillez patienter, je vous mets en relation.',
+      'es-ES': 'Un momento por favor, le paso la llamada.',
+      'tr-TR': 'Lütfen hatta kalın, sizi bağlıyorum.',
+      'it-IT': 'Resti in linea, la metto in contatto.',
+      'pl-PL': 'Proszę czekać, łączę.',
+      'pt-BR': 'Aguarde um momento, vou transferir sua ligação.',
+      'ar-SA': 'يرجى الانتظار، سأقوم بتحويل مكالمتك.'
+    },
+    unavailable: {
+      'nl-NL': 'Helaas is er op dit moment niemand bereikbaar. Ik kan een terugbelverzoek voor u noteren. Waar gaat het over?',
+      'en-US': 'Unfortunately nobody is available right now. I can arrange a callback for you. What is it about?',
+      'en-GB': 'Unfortunately nobody is available right now. I can arrange a callback for you. What is it about?',
+      'de-DE': 'Leider ist gerade niemand erreichbar. Ich kann einen Rückruf für Sie notieren. Worum geht es?',
+      'fr-FR': 'Malheureusement, personne n\'est disponible pour le moment. Je peux noter une demande de rappel. De quoi s\'agit-il?',
+      'es-ES': 'Lamentablemente no hay nadie disponible ahora mismo. Puedo anotar una solicitud de devolución de llamada. ¿De qué se trata?',
+      'tr-TR': 'Maalesef şu anda kimse müsait değil. Sizin için bir geri arama talebi oluşturabilirim. Konu nedir?',
+      'it-IT': 'Purtroppo al momento non c\'è nessuno disponibile. Posso registrare una richiesta di richiamata. Di cosa si tratta?',
+      'pl-PL': 'Niestety nikt nie jest teraz dostępny. Mogę zapisać prośbę o oddzwonienie. W jakiej sprawie?',
+      'pt-BR': 'Infelizmente não há ninguém disponível no momento. Posso registrar um pedido de retorno. Sobre o que é?',
+      'ar-SA': 'للأسف لا يوجد أحد متاح الآن. يمكنني تسجيل طلب معاودة الاتصال. ما الموضوع؟'
+    }
+  };
+
+  return templates[type][lang] || templates[type]['en-US'];
+}
+
+// Confirmation of an appointment booked in a turn whose reply failed or timed out
+function getBookedMessage(lang, booking) {
+  const templates = {
+    'nl-NL': `Uw afspraak op ${booking.date} om ${booking.time} staat genoteerd.`,
+    'en-US': `Your appointment on ${booking.date} at ${booking.time} is booked.`,
+    'en-GB': `Your appointment on ${booking.date} at ${booking.time} is booked.`,
+    'de-DE': `Ihr Termin am ${booking.date} um ${booking.time} ist gebucht.`,
+    'fr-FR': `Votre rendez-vous du ${booking.date} à ${booking.time} est réservé.`,
+    'es-ES': `Su cita del ${booking.date} a las ${booking.time} está reservada.`,
+    'tr-TR': `${booking.date} tarihinde saat ${booking.time} için randevunuz alındı.`,
+    'it-IT': `Il suo appuntamento del ${booking.date} alle ${booking.time} è prenotato.`,
+    'pl-PL': `Pana/Pani wizyta ${booking.date} o ${booking.time} jest zarezerwowana.`,
+    'pt-BR': `Sua consulta em ${booking.date} às ${booking.time} está marcada.`,
+    'ar-SA': `تم حجز موعدك في ${booking.date} الساعة ${booking.time}.`
+  };
+
+  return templates[lang] || templates['en-US'];
+}
+
 // Helper function to get active session (most recent within last 30 minutes)
 function getActiveSession() {
   const now = Date.now();
@@ -171,6 +308,351 @@ function getActiveSession() {
   return mostRecentSession;
 }
 
+// Twilio call statuses that mean the call is over
+const FINAL_CALL_STATUSES = ['completed', 'busy', 'failed', 'no-answer', 'canceled'];
+
+// Build a readable transcript from a Claude-style message history
+function buildTranscript(conversationHistory, labels = { user: 'Caller', assistant: 'Receptionist' }) {
+  return conversationHistory
+    .map(message => {
+      const text = String(message.content).replace(/\[LANG:[\w-]+\]/g, '').trim();
+      return `${labels[message.role] || message.role}: ${text}`;
+    })
+    .join('\n');
+}
+
+// Messages from the caller or visitor (metered for chats)
+function countUserMessages(conversationHistory) {
+  return conversationHistory.filter(message => message.role === 'user').length;
+}
+
+// Short one-line summary of a conversation for list views
+function buildConversationSummary(conversationHistory) {
+  const userTurns = conversationHistory.filter(message => message.role === 'user');
+  if (userTurns.length === 0) {
+    return 'No messages';
+  }
+
+  const firstRequest = String(userTurns[0].content).trim();
+  const preview = firstRequest.length > 120 ? `${firstRequest.substring(0, 117)}...` : firstRequest;
+  return `${userTurns.length} message(s). First request: "${preview}"`;
+}
+
+// Stored languages are a JSON list from the setup wizard, e.g. ["dutch","english"]
+function parseProfileLanguages(languages) {
+  try {
+    const list = JSON.parse(languages || '[]');
+    return Array.isArray(list)
+      ? list.map(language => language.charAt(0).toUpperCase() + language.slice(1))
+      : [];
+  } catch (error) {
+    return [];
+  }
+}
+
+// Business info in the shape the prompts and tools use, from a stored profile
+function buildBusinessInfoFromProfile(profile) {
+  return {
+    businessName: profile.business_name,
+    businessType: profile.business_type,
+    description: profile.description,
+    openingHours: profile.opening_hours,
+    timezone: profile.timezone,
+    languages: parseProfileLanguages(profile.languages),
+    specialRules: profile.special_rules || 'None',
+    greetingMessage: profile.greeting_message || null
+  };
+}
+
+// Validate service fields from the dashboard; returns an error message or null
+function validateServiceInput(body) {
+  const duration = Number(body.duration_minutes);
+  const buffer = Number(body.buffer_minutes || 0);
+
+  if (!body.name || !String(body.name).trim()) {
+    return 'Vul een naam in';
+  }
+  if (!Number.isInteger(duration) || duration < 5 || duration > 480) {
+    return 'Duur moet tussen 5 en 480 minuten liggen';
+  }
+  if (!Number.isInteger(buffer) || buffer < 0 || buffer > 240) {
+    return 'Buffertijd moet tussen 0 en 240 minuten liggen';
+  }
+  return null;
+}
+
+// Call Claude for a receptionist reply, running any tool calls (e.g. bookings) along the way
+// onUsage(tokens) is told the input and output tokens of every Claude call
+// A signal stops the loop when the caller no longer waits for the reply (voice timeout), so a
+// late reply can't still book or transfer
+async function createReceptionistReply(session, systemPrompt, messages, maxTokens, onUsage = null, signal = null) {
+  const tools = receptionistTools.getToolsForSession(session);
+  const system = systemPrompt + receptionistTools.getToolPrompt(session);
+  const workingMessages = [...messages];
+
+  for (let round = 0; round < MAX_TOOL_ROUNDS; round++) {
+    const response = await anthropic.messages.create({
+      model: 'claude-haiku-4-5',
+      max_tokens: maxTokens,
+      system: system,
+      messages: workingMessages,
+      ...(tools.length > 0 ? { tools: tools } : {})
+    }, signal ? { signal: signal } : undefined);
+
+    if (onUsage && response.usage) {
+      onUsage(response.usage.input_tokens + response.usage.output_tokens);
+    }
+
+    if (response.stop_reason !== 'tool_use') {
+      return response.content
+        .filter(block => block.type === 'text')
+        .map(block => block.text)
+        .join('\n')
+        .trim();
+    }
+
+    if (signal && signal.aborted) {
+      throw new Error('Reply aborted');
+    }
+
+    // Run each requested tool and hand the results back to Claude
+    workingMessages.push({ role: 'assistant', content: response.content });
+    const toolResults = response.content
+      .filter(block => block.type === 'tool_use')
+      .map(block => {
+        console.log(`[TOOL] ${block.name} requested for ${session.businessInfo.businessName}`);
+        const result = receptionistTools.runTool(block.name, block.input, session);
+        return {
+          type: 'tool_result',
+          tool_use_id: block.id,
+          content: JSON.stringify(result),
+          is_error: Boolean(result.error)
+        };
+      });
+    workingMessages.push({ role: 'user', content: toolResults });
+  }
+
+  throw new Error('Too many tool rounds');
+}
+
+// Ring the current transfer target; Twilio posts the result to /api/voice/transfer
+function dialTransferTarget(twiml, session) {
+  const transfer = session.pendingTransfer;
+  const target = transfer.targets[transfer.attempt];
+
+  console.log(`[TRANSFER] Dialing ${transfer.attempt === 0 ? 'first' : 'backup'} number for ${session.businessName}`);
+
+  const dial = twiml.dial({
+    action: '/api/voice/transfer',
+    method: 'POST',
+    timeout: TRANSFER_DIAL_TIMEOUT_SECONDS
+  });
+  dial.number(target);
+}
+
+// Buy a number for a business that chose 'new_number'; errors carry a Dutch message for the API
+async function provisionBusinessNumber(req, businessProfile, options) {
+  if (!provisioningClient) {
+    throw Object.assign(new Error('Twilio is not configured'), { userMessage: 'Nummers aanvragen is op dit moment niet mogelijk' });
+  }
+
+  try {
+    return await numberProvisioning.provisionNumber(provisioningClient, businessProfile, {
+      ...options,
+      baseUrl: getPublicBaseUrl(req)
+    });
+  } catch (error) {
+    const messages = {
+      ALREADY_PROVISIONED: 'U heeft al een telefoonnummer',
+      NO_NUMBERS_AVAILABLE: 'Geen nummers beschikbaar met dit netnummer',
+      UNSUPPORTED_COUNTRY: 'Dit land wordt niet ondersteund'
+    };
+    error.userMessage = messages[error.code] || 'Het aanvragen van een nummer is mislukt';
+    throw error;
+  }
+}
+
+// Cancel a customer's account: end the subscription and release the number bought for them.
+// When the provider reports the subscription already ended, `cancelSubscription` is false.
+async function cancelCustomerAccount(customerId, { cancelSubscription = true } = {}) {
+  const customer = queries.findCustomerById.get(customerId);
+  const businessProfile = queries.findBusinessByCustomerId.get(customerId);
+
+  if (cancelSubscription && customer && customer.billing_subscription_id && billingProvider) {
+    await billingProvider.cancelSubscription(customer.billing_subscription_id);
+  }
+
+  if (businessProfile && businessProfile.twilio_number_sid && provisioningClient) {
+    await numberProvisioning.releaseNumber(provisioningClient, businessProfile);
+  }
+
+  queries.updateCustomerStatus.run('cancelled', customerId);
+  console.log(`[ACCOUNT] Customer ${customerId} cancelled`);
+}
+
+// Send a (new) email verification link
+function sendVerificationEmail(customer) {
+  const token = emailVerification.createVerificationToken(customer);
+  mailer.sendTemplate({
+    to: customer.email,
+    customerId: customer.id,
+    template: 'verify_email',
+    language: customer.language,
+    data: {
+      link: mailer.appUrl(`/verify-email?token=${token}`),
+      hours: emailVerification.TOKEN_TTL_HOURS
+    }
+  });
+}
+
+function formatCallDuration(seconds) {
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+// Email the owner a summary of a stored call (CALL_SUMMARY_EMAILS=true)
+function sendCallSummaryEmail(businessId, caller, duration, summary) {
+  const businessProfile = queries.findBusinessById.get(businessId);
+  const customer = businessProfile ? queries.findCustomerById.get(businessProfile.customer_id) : null;
+  if (!customer) {
+    return;
+  }
+
+  mailer.sendTemplate({
+    to: customer.email,
+    customerId: customer.id,
+    template: 'call_summary',
+    language: customer.language,
+    data: {
+      businessName: businessProfile.business_name,
+      caller: caller || '-',
+      duration: formatCallDuration(duration),
+      summary: summary,
+      dashboardUrl: mailer.appUrl('/dashboard')
+    }
+  });
+}
+
+// Verify a billing webhook delivery and apply it; throws with code INVALID_SIGNATURE
+async function processBillingWebhook(payload, signature) {
+  const event = billing.verifyWebhook(payload, signature, billingWebhookSecret);
+  return billing.handleWebhookEvent(event, {
+    cancelAccount: (customerId) => cancelCustomerAccount(customerId, { cancelSubscription: false }),
+    cancelSubscription: (subscriptionId) => billingProvider && billingProvider.cancelSubscription(subscriptionId)
+  });
+}
+
+// Store a finished conversation; returns { id, summary }. For businesses with
+// redact_transcripts on, personal data in the summary and transcript is replaced by tokens
+// and kept in the PII vault for the owner.
+function storeConversation(businessId, type, callerNumber, conversationHistory, labels, duration, actionTaken) {
+  const businessProfile = queries.findBusinessById.get(businessId);
+  const tokenizer = businessProfile && businessProfile.redact_transcripts ? redaction.createTokenizer() : null;
+  const protect = text => (tokenizer ? tokenizer.tokenize(text) : text);
+
+  const summary = protect(buildConversationSummary(conversationHistory));
+  const transcript = protect(buildTranscript(conversationHistory, labels));
+
+  const id = database.db.transaction(() => {
+    const result = queries.createConversation.run(
+      businessId,
+      type,
+      callerNumber,
+      summary,
+      transcript,
+      duration,
+      countUserMessages(conversationHistory),
+      actionTaken
+    );
+    if (tokenizer) {
+      piiVault.storeConversationValues(businessId, result.lastInsertRowid, tokenizer.entries());
+    }
+    return result.lastInsertRowid;
+  })();
+
+  return { id, summary };
+}
+
+// Write a finished call to the conversations table and evict its in-memory session
+function finalizeCallSession(callSid, durationSeconds) {
+  const session = callSessions.get(callSid);
+  if (!session) {
+    return null;
+  }
+
+  callSessions.delete(callSid);
+
+  // Twilio's CallDuration from the status callback; estimated for stale sessions it never reported
+  const duration = Number.isFinite(durationSeconds)
+    ? durationSeconds
+    : Math.round((Date.now() - session.startTime) / 1000);
+
+  if (session.isTrialDemo) {
+    trialUsage.recordCallEnd(session.from, duration);
+  }
+
+  // Website demos without an account have no business to own the conversation; they only
+  // count towards the caller's trial usage above
+  if (!session.businessId) {
+    console.log(`[CALL SAVE] CallSid ${callSid} has no stored business (trial demo), transcript not persisted`);
+    return null;
+  }
+
+  try {
+    const stored = storeConversation(
+      session.businessId,
+      'call',
+      session.from,
+      session.conversationHistory,
+      undefined,
+      duration,
+      session.actionTaken || 'info_given'
+    );
+    console.log(`[CALL SAVE] CallSid ${callSid} saved as conversation ${stored.id} (${duration}s)`);
+
+    if (process.env.CALL_SUMMARY_EMAILS === 'true') {
+      sendCallSummaryEmail(session.businessId, session.from, duration, stored.summary);
+    }
+    return stored.id;
+  } catch (error) {
+    console.error(`[CALL SAVE] Failed to save CallSid ${callSid}:`, error.message);
+    return null;
+  }
+}
+
+// Write a finished web chat to the conversations table and evict its in-memory session
+function finalizeChatSession(chatId) {
+  const chat = chatSessions.get(chatId);
+  if (!chat) {
+    return null;
+  }
+
+  chatSessions.delete(chatId);
+
+  if (!chat.businessId || chat.conversationHistory.length === 0) {
+    console.log(`[CHAT SAVE] Chat ${chatId} not persisted (${chat.businessId ? 'empty' : 'trial demo'})`);
+    return null;
+  }
+
+  const duration = Math.round((chat.lastActivity - chat.startTime) / 1000);
+
+  try {
+    const stored = storeConversation(
+      chat.businessId,
+      'chat',
+      null,
+      chat.conversationHistory,
+      { user: 'Visitor', assistant: 'Receptionist' },
+      duration,
+      chat.actionTaken || 'info_given'
+    );
+    console.log(`[CHAT SAVE] Chat ${chatId} saved as conversation ${stored.id}`);
+    return stored.id;
+  } catch (error) {
+    console.error(`[CHAT SAVE] Failed to save chat ${chatId}:`, error.message);
+    return null;
+  }
+}
+
 // Clean up old sessions (older than 1 hour)
 setInterval(() => {
   const now = Date.now();
@@ -182,13 +664,92 @@ setInterval(() => {
       businessSessions.delete(sessionId);
     }
   }
+
+  // Calls whose status callback never arrived (e.g. webhook not configured)
+  for (const [callSid, data] of callSessions.entries()) {
+    if (data.startTime < oneHourAgo) {
+      console.log(`Finalizing stale call session: ${callSid} for business: ${data.businessName}`);
+      finalizeCallSession(callSid);
+    }
+  }
+
+  // Forwarding tests whose status callback never arrived
+  queries.expireForwardingVerifications.run();
+
+  // Emails that could not be sent
+  mailer.retryFailed().catch(error => console.error('[EMAIL] Retry run failed:', error));
+
+  // Old reset, verification and invitation links, and ended rate limit windows
+  queries.deleteExpiredPasswordResetTokens.run();
+  queries.deleteExpiredEmailVerificationTokens.run();
+  queries.deleteExpiredTeamInvitations.run();
+  rateLimit.purgeExpired();
 }, 10 * 60 * 1000); // Run every 10 minutes
 
+// Store and evict web chats that went idle (visitor closed the tab without ending the chat)
+function finalizeIdleChats() {
+  const idleSince = Date.now() - CHAT_IDLE_TIMEOUT_MS;
+  for (const [chatId, data] of chatSessions.entries()) {
+    if (data.lastActivity < idleSince) {
+      finalizeChatSession(chatId);
+    }
+  }
+}
+
+setInterval(finalizeIdleChats, 60 * 1000); // Run every minute
+
+// Trial reminders, suspension of expired trials and deletion of closed accounts
+function runAccountLifecycle() {
+  try {
+    const result = accountLifecycle.runLifecycle();
+    if (result.reminders > 0 || result.suspended > 0) {
+      console.log(`[LIFECYCLE] Sent ${result.reminders} reminder(s), suspended ${result.suspended} trial(s)`);
+    }
+  } catch (error) {
+    console.error('[LIFECYCLE] Run failed:', error);
+  }
+
+  try {
+    const deleted = accountDeletion.purgeDueAccounts();
+    if (deleted > 0) {
+      console.log(`[LIFECYCLE] Deleted ${deleted} closed account(s)`);
+    }
+  } catch (error) {
+    console.error('[LIFECYCLE] Account deletion failed:', error);
+  }
+}
+
+runAccountLifecycle();
+setInterval(runAccountLifecycle, 60 * 60 * 1000); // Run every hour
+
+// Remove personal data that is older than the businesses' retention settings
+function runDataRetention() {
+  try {
+    const result = dataRetention.purgeExpiredData();
+    if (result.conversations > 0 || result.appointments > 0 || result.callbacks > 0) {
+      console.log(`[RETENTION] Emptied ${result.conversations} conversation(s), ${result.appointments} appointment(s), ${result.callbacks} callback request(s)`);
+    }
+  } catch (error) {
+    console.error('[RETENTION] Purge failed:', error);
+  }
+}
+
+runDataRetention();
+setInterval(runDataRetention, 60 * 60 * 1000); // Run every hour
+
 // Middleware
-app.use(express.json());
+app.use(express.json({
+  // Billing webhooks are signed over the exact bytes that were sent
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 app.use(express.urlencoded({ extended: true }));
 app.use(express.static('public'));
 
+// Voice webhooks may only come from Twilio
+app.use('/api/voice', requireTwilioSignature);
+
 // Session middleware
 app.use(session({
   secret: process.env.SESSION_SECRET || 'your-ai-solution-secret-key-change-this',
@@ -201,17 +762,121 @@ app.use(session({
   }
 }));
 
-// Authentication middleware
-function requireAuth(req, res, next) {
+// CSRF protection: state-changing requests must send the token from /api/csrf-token in
+// the CSRF-Token header (public/js/csrf.js does this for the pages), or as _csrf in the body
+// where no header can be set (the chat widget's sendBeacon). The secret lives in
+// the session. Webhooks and the operator API don't use the session cookie; they are
+// checked by signature (Twilio, billing) or by X-Admin-Key instead.
+const csrfProtection = csrf();
+const CSRF_EXEMPT_PATHS = ['/api/voice/', '/api/billing/webhook', '/api/admin/'];
+
+app.use((req, res, next) => {
+  if (['GET', 'HEAD', 'OPTIONS'].includes(req.method) || CSRF_EXEMPT_PATHS.some(prefix => req.path.startsWith(prefix))) {
+    return next();
+  }
+
+  csrfProtection(req, res, (err) => {
+    if (err && err.code === 'EBADCSRFTOKEN') {
+      console.warn(`[CSRF] Rejected ${req.method} ${req.originalUrl} from ${req.ip}`);
+      return res.status(403).json({ error: 'Uw sessie is verlopen. Vernieuw de pagina en probeer het opnieuw.', code: 'EBADCSRFTOKEN' });
+    }
+    next(err);
+  });
+});
+
+app.get('/api/csrf-token', csrfProtection, (req, res) => {
+  res.json({ csrfToken: req.csrfToken() });
+});
+
+// req.session.userId is always the account (customer) the user works in; team members
+// also have a memberId. The owner is the customer itself.
+function startUserSession(req, customer, member = null) {
+  req.session.userId = customer.id;
+  req.session.memberId = member ? member.id : null;
+  req.session.userEmail = member ? member.email : customer.email;
+  req.session.sessionVersion = member ? member.session_version : customer.session_version;
+}
+
+// A session stays valid until the user's password is reset (session_version is bumped),
+// the member is removed from the team or the owner closes the account (members only; the
+// owner can still restore it). Sets req.userRole from the database, so role changes apply
+// right away.
+function hasValidSession(req) {
   if (!req.session.userId) {
-    return res.redirect('/login');
+    return false;
+  }
+
+  const customer = queries.findCustomerById.get(req.session.userId);
+  const member = customer && req.session.memberId ? queries.findTeamMemberById.get(req.session.memberId, customer.id) : null;
+  const user = req.session.memberId ? member : customer;
+  const closed = Boolean(member) && accountDeletion.isPendingDeletion(customer);
+
+  if (!user || closed || user.session_version !== (req.session.sessionVersion || 0)) {
+    delete req.session.userId;
+    delete req.session.memberId;
+    delete req.session.userEmail;
+    delete req.session.sessionVersion;
+    return false;
+  }
+
+  req.userRole = member ? member.role : 'owner';
+  return true;
+}
+
+// Page access for the given roles; other team members go back to the dashboard
+function requirePageRole(...roles) {
+  return (req, res, next) => {
+    if (!hasValidSession(req)) {
+      return res.redirect('/login');
+    }
+    if (!roles.includes(req.userRole)) {
+      return res.redirect('/dashboard');
+    }
+    next();
+  };
+}
+
+// API access for the given roles (owner, manager, staff; see team.js)
+function requireRole(...roles) {
+  return (req, res, next) => {
+    if (!hasValidSession(req)) {
+      return res.status(401).json({ error: 'Niet geautoriseerd' });
+    }
+    if (!roles.includes(req.userRole)) {
+      return res.status(403).json({ error: 'U heeft hiervoor geen rechten' });
+    }
+    next();
+  };
+}
+
+// Buying numbers needs a verified email address of the account (after requireRole)
+function requireVerifiedEmail(req, res, next) {
+  const customer = queries.findCustomerById.get(req.session.userId);
+  if (!emailVerification.isVerified(customer)) {
+    return res.status(403).json({ error: 'Bevestig eerst uw emailadres via de link in uw email' });
   }
   next();
 }
 
-// API authentication middleware (for API routes)
-function requireAuthAPI(req, res, next) {
-  if (!req.session.userId) {
+// The login of the session's user: the team member, or the customer for the owner
+function findSessionUser(req) {
+  return req.session.memberId
+    ? queries.findTeamMemberById.get(req.session.memberId, req.session.userId)
+    : queries.findCustomerById.get(req.session.userId);
+}
+
+// Changing the login or closing the account asks for the current password again
+async function checkCurrentPassword(req, password) {
+  const user = findSessionUser(req);
+  return Boolean(user && password) && bcrypt.compare(String(password), user.password);
+}
+
+// Operator API: requests must send ADMIN_API_KEY in the X-Admin-Key header
+function requireAdminKey(req, res, next) {
+  const expected = Buffer.from(process.env.ADMIN_API_KEY || '');
+  const given = Buffer.from(req.get('X-Admin-Key') || '');
+
+  if (expected.length === 0 || given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
     return res.status(401).json({ error: 'Niet geautoriseerd' });
   }
   next();
@@ -237,61 +902,40 @@ app.get('/signup', (req, res) => {
 
 app.get('/login', (req, res) => {
   // If already logged in, redirect to dashboard
-  if (req.session.userId) {
+  if (hasValidSession(req)) {
     return res.redirect('/dashboard');
   }
   res.sendFile(path.join(__dirname, 'public', 'login.html'));
 });
 
-app.get('/dashboard/setup', requireAuth, (req, res) => {
+app.get('/dashboard/setup', requirePageRole('owner', 'manager'), (req, res) => {
   res.sendFile(path.join(__dirname, 'public', 'setup.html'));
 });
 
-app.get('/dashboard', requireAuth, (req, res) => {
-  // For now, redirect to setup if not completed
-  const customer = queries.findCustomerById.get(req.session.userId);
+app.get('/dashboard/account', requirePageRole('owner', 'manager', 'staff'), (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'account.html'));
+});
+
+app.get('/dashboard', requirePageRole('owner', 'manager', 'staff'), (req, res) => {
+  // A closed account can only be restored from the account settings
+  if (accountDeletion.isPendingDeletion(queries.findCustomerById.get(req.session.userId))) {
+    return res.redirect('/dashboard/account');
+  }
+
+  // Redirect to setup if not completed
   const businessProfile = queries.findBusinessByCustomerId.get(req.session.userId);
 
   if (!businessProfile || !businessProfile.is_setup_complete) {
     return res.redirect('/dashboard/setup');
   }
 
-  // TODO: Create actual dashboard page
-  res.send(`
-    <!DOCTYPE html>
-    <html>
-    <head>
-      <title>Dashboard - Your AI Solution</title>
-      <script src="https://cdn.tailwindcss.com"></script>
-    </head>
-    <body class="bg-gray-50">
-      <nav class="bg-white shadow-sm">
-        <div class="max-w-7xl mx-auto px-4 py-4">
-          <div class="flex justify-between items-center">
-            <h1 class="text-xl font-bold text-blue-600">Your AI Solution</h1>
-            <div class="space-x-4">
-              <span>${customer.email}</span>
-              <a href="/api/logout" class="text-gray-700 hover:text-blue-600">Uitloggen</a>
-            </div>
-          </div>
-        </div>
-      </nav>
-      <div class="max-w-7xl mx-auto px-4 py-12">
-        <h2 class="text-3xl font-bold mb-4">Welkom bij Your AI Solution!</h2>
-        <p class="text-gray-600">Uw dashboard komt binnenkort beschikbaar.</p>
-        <div class="mt-8">
-          <a href="/dashboard/setup" class="bg-blue-600 text-white px-6 py-3 rounded-lg inline-block">Configuratie aanpassen</a>
-        </div>
-      </div>
-    </body>
-    </html>
-  `);
+  res.sendFile(path.join(__dirname, 'public', 'dashboard.html'));
 });
 
 // Signup API
-app.post('/api/signup', async (req, res) => {
+app.post('/api/signup', rateLimit.limitByIp('signup', { limit: 5, windowSeconds: 60 * 60 }), async (req, res) => {
   try {
-    const { business_name, email, password, confirm_password, plan, terms } = req.body;
+    const { business_name, email, password, confirm_password, plan, terms, language } = req.body;
 
     // Validation
     if (!business_name || !email || !password || !confirm_password) {
@@ -311,8 +955,7 @@ app.post('/api/signup', async (req, res) => {
     }
 
     // Check if email already exists
-    const existingCustomer = queries.findCustomerByEmail.get(email);
-    if (existingCustomer) {
+    if (team.isEmailInUse(email)) {
       return res.status(400).json({ error: 'Dit emailadres is al geregistreerd' });
     }
 
@@ -326,14 +969,23 @@ app.post('/api/signup', async (req, res) => {
     // Create business profile
     queries.createBusinessProfile.run(customerId, business_name);
 
+    // Emails go out in the language the visitor signed up in
+    queries.updateCustomerLanguage.run(mailer.normalizeLanguage(language), customerId);
+
     // Log in the user
-    req.session.userId = customerId;
-    req.session.userEmail = email;
+    const customer = queries.findCustomerById.get(customerId);
+    startUserSession(req, customer);
 
     console.log(`[SIGNUP] New customer registered: ${email} (ID: ${customerId})`);
 
-    // Send welcome email (log for now)
-    console.log(`[EMAIL] Welcome email would be sent to: ${email}`);
+    mailer.sendTemplate({
+      to: customer.email,
+      customerId: customer.id,
+      template: 'welcome',
+      language: customer.language,
+      data: { businessName: business_name, setupUrl: mailer.appUrl('/dashboard/setup') }
+    });
+    sendVerificationEmail(customer);
 
     res.json({ success: true, redirect: '/dashboard/setup' });
 
@@ -348,32 +1000,51 @@ app.post('/api/login', async (req, res) => {
   try {
     const { email, password } = req.body;
 
-    // Validation
-    if (!email || !password) {
+    // Validation (JSON bodies can carry objects or numbers, which bcrypt and the queries reject)
+    if (typeof email !== 'string' || typeof password !== 'string' || !email || !password) {
       return res.status(400).json({ error: 'Vul alle velden in' });
     }
 
-    // Find customer
-    const customer = queries.findCustomerByEmail.get(email);
-    if (!customer) {
-      return res.status(401).json({ error: 'Ongeldige inloggegevens' });
+    // Locked after too many failed attempts for this address or from this IP
+    const emailKey = email.trim().toLowerCase();
+    const lockedFor = Math.max(LOGIN_LOCKOUTS.email.lockedFor(emailKey), LOGIN_LOCKOUTS.ip.lockedFor(req.ip));
+    if (lockedFor > 0) {
+      return rateLimit.sendTooManyRequests(req, res, lockedFor, 'errors.login_locked');
     }
 
-    // Check password
-    const passwordMatch = await bcrypt.compare(password, customer.password);
+    // Find the account owner or team member and check the password; unknown addresses
+    // count as failures too
+    const owner = queries.findCustomerByEmail.get(email);
+    const member = owner ? null : queries.findTeamMemberByEmail.get(team.normalizeEmail(email));
+    const customer = member ? queries.findCustomerById.get(member.customer_id) : owner;
+    const user = member || owner;
+    const passwordMatch = user ? await bcrypt.compare(password, user.password) : false;
     if (!passwordMatch) {
+      LOGIN_LOCKOUTS.email.recordFailure(emailKey);
+      LOGIN_LOCKOUTS.ip.recordFailure(req.ip);
       return res.status(401).json({ error: 'Ongeldige inloggegevens' });
     }
 
+    LOGIN_LOCKOUTS.email.reset(emailKey);
+
+    // Team members can't log in to an account that is being deleted
+    const closed = accountDeletion.isPendingDeletion(customer);
+    if (member && closed) {
+      return res.status(403).json({ error: 'Dit account wordt verwijderd' });
+    }
+
     // Log in the user
-    req.session.userId = customer.id;
-    req.session.userEmail = customer.email;
+    startUserSession(req, customer, member);
 
-    console.log(`[LOGIN] Customer logged in: ${email} (ID: ${customer.id})`);
+    console.log(`[LOGIN] ${member ? `Team member (${member.role})` : 'Customer'} logged in: ${email} (customer ID: ${customer.id})`);
 
-    // Check if setup is complete
+    // Owners and managers finish the setup first
     const businessProfile = queries.findBusinessByCustomerId.get(customer.id);
-    const redirect = (!businessProfile || !businessProfile.is_setup_complete) ? '/dashboard/setup' : '/dashboard';
+    const setupDone = businessProfile && businessProfile.is_setup_complete;
+    let redirect = (!setupDone && (!member || member.role === 'manager')) ? '/dashboard/setup' : '/dashboard';
+    if (closed) {
+      redirect = '/dashboard/account';
+    }
 
     res.json({ success: true, redirect });
 
@@ -383,107 +1054,1306 @@ app.post('/api/login', async (req, res) => {
   }
 });
 
-// Logout API
-app.get('/api/logout', (req, res) => {
-  req.session.destroy((err) => {
-    if (err) {
-      console.error('Logout error:', err);
+// Link from the verification email; the dashboard or login page shows the result
+app.get('/verify-email', (req, res) => {
+  try {
+    const result = emailVerification.verifyToken(req.query.token);
+    const customer = result.customerId ? queries.findCustomerById.get(result.customerId) : null;
+    const status = result.verified || emailVerification.isVerified(customer) ? 'success' : result.reason;
+
+    let page = '/login';
+    if (hasValidSession(req)) {
+      const businessProfile = queries.findBusinessByCustomerId.get(req.session.userId);
+      page = businessProfile && businessProfile.is_setup_complete ? '/dashboard' : '/dashboard/setup';
     }
-    res.redirect('/login');
-  });
+    res.redirect(`${page}?verified=${status}`);
+  } catch (error) {
+    console.error('Email verification error:', error);
+    res.status(500).send('Er is een fout opgetreden');
+  }
 });
 
-// Get setup progress
-app.get('/api/setup/progress', requireAuthAPI, (req, res) => {
+// Send the verification email again (e.g. the link expired)
+app.post('/api/email/resend-verification', requireRole('owner', 'manager'), (req, res) => {
   try {
-    const progress = queries.findSetupProgress.get(req.session.userId);
+    const customer = queries.findCustomerById.get(req.session.userId);
+    if (emailVerification.isVerified(customer)) {
+      return res.status(400).json({ error: 'Uw emailadres is al bevestigd' });
+    }
+
+    const limit = rateLimit.hit(`verify-resend:customer:${customer.id}`, { limit: 3, windowSeconds: 60 * 60 });
+    if (!limit.allowed) {
+      return rateLimit.sendTooManyRequests(req, res, limit.retryAfterSeconds);
+    }
+
+    sendVerificationEmail(customer);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({ error: 'Er is een fout opgetreden' });
+  }
+});
+
+app.get('/forgot-password', (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'reset-password.html'));
+});
+
+app.get('/reset-password', (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'reset-password.html'));
+});
+
+// Link from a team invitation email
+app.get('/invite', (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'accept-invite.html'));
+});
+
+// Forgot password API: emails a reset link. The answer is the same whether or not the
+// address has an account, and requests are limited per IP and per address, so it can't
+// be used to find out which addresses are registered.
+app.post('/api/password/forgot', rateLimit.limitByIp('password-forgot', { limit: 5, windowSeconds: 15 * 60 }), (req, res) => {
+  try {
+    const email = String(req.body.email || '').trim();
+    if (!email) {
+      return res.status(400).json({ error: 'Vul uw emailadres in' });
+    }
+
+    const perAddress = rateLimit.hit(`password-forgot:email:${email.toLowerCase()}`, { limit: 3, windowSeconds: 60 * 60 });
+
+    // The account owner or a team member, as at login
+    const owner = queries.findCustomerByEmail.get(email);
+    const member = owner ? null : queries.findTeamMemberByEmail.get(team.normalizeEmail(email));
+    const customer = member ? queries.findCustomerById.get(member.customer_id) : owner;
+
+    if (customer && perAddress.allowed) {
+      const token = passwordReset.createResetToken(customer, member);
+      mailer.sendTemplate({
+        to: member ? member.email : customer.email,
+        customerId: customer.id,
+        template: 'password_reset',
+        language: customer.language,
+        data: {
+          link: mailer.appUrl(`/reset-password?token=${token}`),
+          minutes: passwordReset.TOKEN_TTL_MINUTES
+        }
+      });
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({ error: 'Er is een fout opgetreden. Probeer het opnieuw.' });
+  }
+});
+
+// Is a reset link still valid? (the page shows "expired" instead of the form)
+app.get('/api/password/reset/:token', (req, res) => {
+  res.json({ valid: passwordReset.isValidToken(req.params.token) });
+});
+
+// Reset password API: set a new password with a reset token
+app.post('/api/password/reset', async (req, res) => {
+  try {
+    const { token, password, confirm_password } = req.body;
+
+    if (!token || !password || !confirm_password) {
+      return res.status(400).json({ error: 'Vul alle velden in' });
+    }
+
+    if (password.length < 8) {
+      return res.status(400).json({ error: 'Wachtwoord moet minimaal 8 karakters bevatten' });
+    }
+
+    if (password !== confirm_password) {
+      return res.status(400).json({ error: 'Wachtwoorden komen niet overeen' });
+    }
+
+    const user = passwordReset.consumeToken(token);
+    if (!user) {
+      return res.status(400).json({ error: 'Deze link is verlopen of al gebruikt. Vraag een nieuwe aan.' });
+    }
+
+    const hashedPassword = await bcrypt.hash(password, 10);
+    passwordReset.resetPassword(user.customerId, hashedPassword, user.memberId);
+
+    res.json({ success: true, redirect: '/login?reset=1' });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({ error: 'Er is een fout opgetreden. Probeer het opnieuw.' });
+  }
+});
+
+// Logout API
+app.get('/api/logout', (req, res) => {
+  req.session.destroy((err) => {
+    if (err) {
+      console.error('Logout error:', err);
+    }
+    res.redirect('/login');
+  });
+});
+
+// Get setup progress
+app.get('/api/setup/progress', requireRole('owner', 'manager'), (req, res) => {
+  try {
+    const progress = queries.findSetupProgress.get(req.session.userId);
+
+    if (!progress) {
+      return res.json({ progress: null });
+    }
+
+    res.json({ progress });
+  } catch (error) {
+    console.error('Error fetching setup progress:', error);
+    res.status(500).json({ error: 'Er is een fout opgetreden' });
+  }
+});
+
+// Save setup progress
+app.post('/api/setup/progress', requireRole('owner', 'manager'), (req, res) => {
+  try {
+    const { current_step, step1_data, step2_data, step3_data, step4_data } = req.body;
+
+    const existing = queries.findSetupProgress.get(req.session.userId);
+
+    if (existing) {
+      queries.updateSetupProgress.run(
+        current_step || existing.current_step,
+        step1_data || existing.step1_data,
+        step2_data || existing.step2_data,
+        step3_data || existing.step3_data,
+        step4_data || existing.step4_data,
+        req.session.userId
+      );
+    } else {
+      queries.createSetupProgress.run(req.session.userId, step1_data || '{}');
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error saving setup progress:', error);
+    res.status(500).json({ error: 'Er is een fout opgetreden' });
+  }
+});
+
+// Complete setup
+app.post('/api/setup/complete', requireRole('owner', 'manager'), async (req, res) => {
+  try {
+    const {
+      business_name,
+      business_type,
+      address,
+      website,
+      owner_phone,
+      description,
+      opening_hours,
+      timezone,
+      languages,
+      special_rules,
+      greeting_message,
+      backup_phone,
+      connection_method
+    } = req.body;
+
+    // Opening hours must be a structured weekly schedule
+    const schedule = openingHours.parseOpeningHours(opening_hours);
+    if (!schedule || openingHours.validateOpeningHours(schedule)) {
+      return res.status(400).json({ error: 'Ongeldige openingstijden' });
+    }
+
+    if (timezone && !openingHours.isValidTimezone(timezone)) {
+      return res.status(400).json({ error: 'Ongeldige tijdzone' });
+    }
+
+    // The wizard's data is always saved; going live (answering calls) and reserving a
+    // number wait until the email address is verified
+    const verified = emailVerification.isVerified(queries.findCustomerById.get(req.session.userId));
+
+    // Update business profile
+    queries.updateBusinessProfile.run(
+      business_name,
+      business_type,
+      address,
+      website || '',
+      owner_phone,
+      description,
+      JSON.stringify(schedule),
+      timezone || openingHours.DEFAULT_TIMEZONE,
+      languages,
+      special_rules || '',
+      greeting_message || '',
+      backup_phone || owner_phone,
+      connection_method,
+      verified ? 1 : 0, // is_setup_complete
+      req.session.userId
+    );
+
+    if (!verified) {
+      console.log(`[SETUP] Setup saved for customer ID: ${req.session.userId}, waiting for email verification`);
+      return res.json({ success: true, activated: false });
+    }
+
+    console.log(`[SETUP] Setup completed for customer ID: ${req.session.userId}`);
+
+    // Reserve a number right away: it is either advertised ('new_number') or the
+    // target the existing number forwards to ('forward_existing')
+    const businessProfile = queries.findBusinessByCustomerId.get(req.session.userId);
+    let numberError = null;
+    if (!businessProfile.twilio_number) {
+      try {
+        const provisioned = await provisionBusinessNumber(req, businessProfile, {
+          areaCode: req.body.number_area_code
+        });
+        businessProfile.twilio_number = provisioned.phoneNumber;
+      } catch (error) {
+        // Setup itself succeeded; the customer can retry from the dashboard
+        console.error(`[PROVISIONING] Failed for customer ${req.session.userId}:`, error.message);
+        numberError = error.userMessage;
+      }
+    }
+
+    res.json({ success: true, activated: true, twilio_number: businessProfile.twilio_number, number_error: numberError });
+
+  } catch (error) {
+    console.error('Error completing setup:', error);
+    res.status(500).json({ error: 'Er is een fout opgetreden' });
+  }
+});
+
+// Dashboard API: account and business overview
+app.get('/api/dashboard', requireRole('owner', 'manager', 'staff'), (req, res) => {
+  try {
+    const customer = queries.findCustomerById.get(req.session.userId);
+    const businessProfile = queries.findBusinessByCustomerId.get(req.session.userId);
+
+    if (!customer || !businessProfile) {
+      return res.status(404).json({ error: 'Bedrijf niet gevonden' });
+    }
+
+    res.json({
+      user: {
+        email: req.session.userEmail,
+        role: req.userRole
+      },
+      customer: {
+        email: customer.email,
+        plan: customer.plan,
+        status: customer.status,
+        trial_ends_at: customer.trial_ends_at,
+        email_verified: emailVerification.isVerified(customer),
+        has_subscription: billing.hasActiveSubscription(customer)
+      },
+      business: {
+        id: businessProfile.id,
+        business_name: businessProfile.business_name,
+        business_type: businessProfile.business_type,
+        connection_method: businessProfile.connection_method,
+        twilio_number: businessProfile.twilio_number,
+        forwarding_status: businessProfile.forwarding_status,
+        forwarding_checked_at: businessProfile.forwarding_checked_at,
+        forwarding_verified_at: businessProfile.forwarding_verified_at,
+        transcript_retention_days: businessProfile.transcript_retention_days,
+        contact_retention_days: businessProfile.contact_retention_days,
+        redact_transcripts: Boolean(businessProfile.redact_transcripts),
+        pii_vault_enabled: piiVault.isEnabled(),
+        extra_numbers: queries.findPhoneNumbersByBusinessId.all(businessProfile.id).map(row => row.phone_number)
+      },
+      notices: queries.findOpenNoticesByCustomerId.all(customer.id).map(notice => ({
+        id: notice.id,
+        kind: notice.kind,
+        created_at: notice.created_at
+      }))
+    });
+  } catch (error) {
+    console.error('Error fetching dashboard:', error);
+    res.status(500).json({ error: 'Er is een fout opgetreden' });
+  }
+});
+
+// Dashboard API: hide an account notice
+app.post('/api/dashboard/notices/:id/dismiss', requireRole('owner', 'manager'), (req, res) => {
+  try {
+    const result = queries.dismissCustomerNotice.run(req.params.id, req.session.userId);
+    if (result.changes === 0) {
+      return res.status(404).json({ error: 'Niet gevonden' });
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error dismissing notice:', error);
+    res.status(500).json({ error: 'Er is een fout opgetreden' });
+  }
+});
+
+// Dashboard API: numbers available to buy
+app.get('/api/dashboard/numbers/available', requireRole('owner', 'manager'), async (req, res) => {
+  try {
+    const country = (req.query.country || numberProvisioning.DEFAULT_COUNTRY).toUpperCase();
+    if (!numberProvisioning.isSupportedCountry(country)) {
+      return res.status(400).json({ error: 'Dit land wordt niet ondersteund' });
+    }
+    if (!provisioningClient) {
+      return res.status(503).json({ error: 'Nummers aanvragen is op dit moment niet mogelijk' });
+    }
+
+    const numbers = await numberProvisioning.searchAvailableNumbers(provisioningClient, {
+      country: country,
+      areaCode: req.query.area_code
+    });
+    res.json({ numbers: numbers });
+  } catch (error) {
+    console.error('Error searching numbers:', error);
+    res.status(500).json({ error: 'Er is een fout opgetreden' });
+  }
+});
+
+// Dashboard API: buy a number (a chosen one, or the first free one for the area code)
+app.post('/api/dashboard/numbers', requireRole('owner', 'manager'), requireVerifiedEmail, async (req, res) => {
+  try {
+    const businessProfile = queries.findBusinessByCustomerId.get(req.session.userId);
+    if (!businessProfile) {
+      return res.status(404).json({ error: 'Bedrijf niet gevonden' });
+    }
+    if (businessProfile.twilio_number) {
+      return res.status(409).json({ error: 'U heeft al een telefoonnummer' });
+    }
+
+    const provisioned = await provisionBusinessNumber(req, businessProfile, {
+      country: (req.body.country || numberProvisioning.DEFAULT_COUNTRY).toUpperCase(),
+      areaCode: req.body.area_code,
+      phoneNumber: req.body.phone_number
+    });
+    res.json({ success: true, twilio_number: provisioned.phoneNumber });
+  } catch (error) {
+    console.error('Error provisioning number:', error);
+    res.status(error.userMessage ? 400 : 500).json({ error: error.userMessage || 'Er is een fout opgetreden' });
+  }
+});
+
+// Dashboard API: test call forwarding from the customer's existing number
+app.post('/api/dashboard/forwarding/verify', requireRole('owner', 'manager'), rateLimit.limitByAccount('forwarding-verify', { limit: 5, windowSeconds: 60 * 60 }), async (req, res) => {
+  try {
+    const businessProfile = queries.findBusinessByCustomerId.get(req.session.userId);
+    if (!businessProfile) {
+      return res.status(404).json({ error: 'Bedrijf niet gevonden' });
+    }
+    if (!provisioningClient || !process.env.TWILIO_PHONE_NUMBER) {
+      return res.status(503).json({ error: 'Doorschakeling testen is op dit moment niet mogelijk' });
+    }
+
+    await forwardingVerification.startVerification(provisioningClient, businessProfile, {
+      callerId: process.env.TWILIO_PHONE_NUMBER,
+      baseUrl: getPublicBaseUrl(req)
+    });
+    res.json({ success: true, forwarding_status: 'pending' });
+  } catch (error) {
+    const messages = {
+      NOT_FORWARDING: 'U gebruikt geen doorschakeling',
+      NO_TWILIO_NUMBER: 'Er is nog geen nummer om naar door te schakelen',
+      NO_OWNER_PHONE: 'Vul eerst uw telefoonnummer in'
+    };
+    if (messages[error.code]) {
+      return res.status(400).json({ error: messages[error.code] });
+    }
+    console.error('Error starting forwarding verification:', error);
+    res.status(500).json({ error: 'Er is een fout opgetreden' });
+  }
+});
+
+// Account settings: the login of the user and, for the owner, the account itself
+const ACCOUNT_REAUTH_LIMIT = { limit: 10, windowSeconds: 15 * 60 };
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+app.get('/api/account', requireRole('owner', 'manager', 'staff'), (req, res) => {
+  try {
+    const customer = queries.findCustomerById.get(req.session.userId);
+    const owner = req.userRole === 'owner';
+
+    res.json({
+      email: req.session.userEmail,
+      role: req.userRole,
+      business_name: customer.business_name,
+      email_verified: owner ? emailVerification.isVerified(customer) : null,
+      status: owner ? customer.status : null,
+      deletion_scheduled_at: owner ? customer.deletion_scheduled_at : null,
+      deletion_grace_days: accountDeletion.DELETION_GRACE_DAYS
+    });
+  } catch (error) {
+    console.error('Error fetching account:', error);
+    res.status(500).json({ error: 'Er is een fout opgetreden' });
+  }
+});
+
+// New login address; the old address is told about the change, an owner's new address
+// has to be verified again
+app.put('/api/account/email', requireRole('owner', 'manager', 'staff'), rateLimit.limitByAccount('account-reauth', ACCOUNT_REAUTH_LIMIT), async (req, res) => {
+  try {
+    const email = String(req.body.email || '').trim();
+    if (!email || !req.body.current_password) {
+      return res.status(400).json({ error: 'Vul alle velden in' });
+    }
+    if (!EMAIL_PATTERN.test(email)) {
+      return res.status(400).json({ error: 'Ongeldig emailadres' });
+    }
+    if (!(await checkCurrentPassword(req, req.body.current_password))) {
+      return res.status(400).json({ error: 'Uw huidige wachtwoord klopt niet' });
+    }
+    if (team.normalizeEmail(email) === team.normalizeEmail(req.session.userEmail)) {
+      return res.status(400).json({ error: 'Dit is al uw emailadres' });
+    }
+    if (team.isEmailInUse(email)) {
+      return res.status(400).json({ error: 'Dit emailadres is al geregistreerd' });
+    }
+
+    const customer = queries.findCustomerById.get(req.session.userId);
+    const previousEmail = req.session.userEmail;
+    const newEmail = req.session.memberId ? team.normalizeEmail(email) : email;
+
+    // Reset links went to the old address
+    queries.invalidatePasswordResetTokens.run(customer.id, req.session.memberId || null);
+    if (req.session.memberId) {
+      queries.updateTeamMemberEmail.run(newEmail, req.session.memberId, customer.id);
+    } else {
+      queries.updateCustomerEmail.run(newEmail, customer.id);
+      sendVerificationEmail(queries.findCustomerById.get(customer.id));
+    }
+    req.session.userEmail = newEmail;
+
+    mailer.sendTemplate({
+      to: previousEmail,
+      customerId: customer.id,
+      template: 'email_changed',
+      language: customer.language,
+      data: { email: newEmail }
+    });
+
+    console.log(`[ACCOUNT] Login ${previousEmail} of customer ${customer.id} changed to ${newEmail}`);
+    res.json({ success: true, email: newEmail, verification_sent: !req.session.memberId });
+  } catch (error) {
+    console.error('Error changing email:', error);
+    res.status(500).json({ error: 'Er is een fout opgetreden' });
+  }
+});
+
+// New password; other sessions of the user are logged out, this one stays
+app.put('/api/account/password', requireRole('owner', 'manager', 'staff'), rateLimit.limitByAccount('account-reauth', ACCOUNT_REAUTH_LIMIT), async (req, res) => {
+  try {
+    const { current_password, password, confirm_password } = req.body;
+
+    if (!current_password || !password || !confirm_password) {
+      return res.status(400).json({ error: 'Vul alle velden in' });
+    }
+    if (password.length < 8) {
+      return res.status(400).json({ error: 'Wachtwoord moet minimaal 8 karakters bevatten' });
+    }
+    if (password !== confirm_password) {
+      return res.status(400).json({ error: 'Wachtwoorden komen niet overeen' });
+    }
+    if (!(await checkCurrentPassword(req, current_password))) {
+      return res.status(400).json({ error: 'Uw huidige wachtwoord klopt niet' });
+    }
+
+    const hashedPassword = await bcrypt.hash(password, 10);
+    const customerId = req.session.userId;
+    passwordReset.resetPassword(customerId, hashedPassword, req.session.memberId || null);
+
+    const customer = queries.findCustomerById.get(customerId);
+    const member = req.session.memberId ? queries.findTeamMemberById.get(req.session.memberId, customerId) : null;
+    startUserSession(req, customer, member);
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error changing password:', error);
+    res.status(500).json({ error: 'Er is een fout opgetreden' });
+  }
+});
+
+app.put('/api/account/business-name', requireRole('owner'), (req, res) => {
+  try {
+    const businessName = String(req.body.business_name || '').trim();
+    if (!businessName || businessName.length > 100) {
+      return res.status(400).json({ error: 'Vul een bedrijfsnaam in (maximaal 100 tekens)' });
+    }
+
+    queries.updateCustomerBusinessName.run(businessName, req.session.userId);
+    queries.updateBusinessName.run(businessName, req.session.userId);
+    res.json({ success: true, business_name: businessName });
+  } catch (error) {
+    console.error('Error changing business name:', error);
+    res.status(500).json({ error: 'Er is een fout opgetreden' });
+  }
+});
+
+// Cancel the account (releases a bought number); as destructive as deleting, so the owner
+// confirms with their password
+app.post('/api/account/cancel', requireRole('owner'), rateLimit.limitByAccount('account-reauth', ACCOUNT_REAUTH_LIMIT), async (req, res) => {
+  try {
+    if (!req.body.current_password) {
+      return res.status(400).json({ error: 'Vul alle velden in' });
+    }
+    if (!(await checkCurrentPassword(req, req.body.current_password))) {
+      return res.status(400).json({ error: 'Uw huidige wachtwoord klopt niet' });
+    }
+
+    await cancelCustomerAccount(req.session.userId);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error cancelling account:', error);
+    res.status(500).json({ error: 'Er is een fout opgetreden' });
+  }
+});
+
+// Close the account: ends the subscription and releases a bought number now, deletes the
+// account and its data after the grace period
+app.post('/api/account/delete', requireRole('owner'), rateLimit.limitByAccount('account-reauth', ACCOUNT_REAUTH_LIMIT), async (req, res) => {
+  try {
+    if (!req.body.current_password) {
+      return res.status(400).json({ error: 'Vul alle velden in' });
+    }
+    if (!(await checkCurrentPassword(req, req.body.current_password))) {
+      return res.status(400).json({ error: 'Uw huidige wachtwoord klopt niet' });
+    }
+
+    const customer = queries.findCustomerById.get(req.session.userId);
+    if (accountDeletion.isPendingDeletion(customer)) {
+      return res.status(400).json({ error: 'Uw account wordt al verwijderd' });
+    }
+
+    await cancelCustomerAccount(customer.id);
+    const updated = accountDeletion.scheduleDeletion(customer);
+
+    res.json({ success: true, deletion_scheduled_at: updated.deletion_scheduled_at });
+  } catch (error) {
+    console.error('Error deleting account:', error);
+    res.status(500).json({ error: 'Er is een fout opgetreden' });
+  }
+});
+
+// Keep the account after all (during the grace period); the subscription stays cancelled
+app.post('/api/account/restore', requireRole('owner'), (req, res) => {
+  try {
+    const customer = queries.findCustomerById.get(req.session.userId);
+    if (!accountDeletion.isPendingDeletion(customer)) {
+      return res.status(400).json({ error: 'Uw account wordt niet verwijderd' });
+    }
+
+    accountDeletion.cancelDeletion(customer);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error restoring account:', error);
+    res.status(500).json({ error: 'Er is een fout opgetreden' });
+  }
+});
+
+// Billing API: start a checkout for a plan; the browser is sent to the returned URL
+app.post('/api/billing/checkout', requireRole('owner'), async (req, res) => {
+  try {
+    const { plan } = req.body;
+    if (!billing.PLANS.includes(plan)) {
+      return res.status(400).json({ error: 'Ongeldige keuze' });
+    }
+    if (!billingProvider) {
+      return res.status(503).json({ error: 'Betalen is op dit moment niet mogelijk' });
+    }
+
+    const customer = queries.findCustomerById.get(req.session.userId);
+    if (!customer) {
+      return res.status(404).json({ error: 'Niet gevonden' });
+    }
+    if (billing.hasActiveSubscription(customer)) {
+      return res.status(409).json({ error: 'U heeft al een actief abonnement' });
+    }
+
+    const baseUrl = getPublicBaseUrl(req);
+    const checkout = await billingProvider.createCheckoutSession({
+      customer: customer,
+      plan: plan,
+      successUrl: `${baseUrl}/dashboard?billing=success`,
+      cancelUrl: `${baseUrl}/dashboard?billing=cancelled`
+    });
+
+    console.log(`[BILLING] Checkout ${checkout.id} started for customer ${customer.id} (${plan})`);
+    res.json({ url: checkout.url });
+  } catch (error) {
+    console.error('Error starting checkout:', error);
+    res.status(500).json({ error: 'Er is een fout opgetreden' });
+  }
+});
+
+// Billing provider webhook: payments, failed payments, plan changes and cancellations
+app.post('/api/billing/webhook', async (req, res) => {
+  try {
+    const payload = req.rawBody ? req.rawBody.toString('utf8') : '';
+    const result = await processBillingWebhook(payload, req.get('Stripe-Signature'));
+    res.json({ received: true, duplicate: result.duplicate });
+  } catch (error) {
+    if (error.code === 'INVALID_SIGNATURE' || error.code === 'NO_WEBHOOK_SECRET') {
+      console.warn(`[BILLING] Webhook refused: ${error.message}`);
+      return res.status(400).json({ error: 'Ongeldige handtekening' });
+    }
+    console.error('Error handling billing webhook:', error);
+    res.status(500).json({ error: 'Er is een fout opgetreden' });
+  }
+});
+
+// Checkout page of the fake billing provider: pays at once and delivers the signed events
+app.get('/billing/fake-checkout/:id', async (req, res) => {
+  try {
+    if (!billingProvider || billingProvider.name !== 'fake') {
+      return res.status(404).send('Niet gevonden');
+    }
+
+    const checkout = billingProvider.completeCheckout(req.params.id);
+    if (!checkout) {
+      return res.status(404).send('Niet gevonden');
+    }
+
+    for (const event of checkout.events) {
+      await processBillingWebhook(event.payload, event.signature);
+    }
+    res.redirect(checkout.successUrl);
+  } catch (error) {
+    console.error('Error completing fake checkout:', error);
+    res.status(500).send('Er is een fout opgetreden');
+  }
+});
+
+// Operator API: sent and failed emails (?status=failed, ?limit=)
+app.get('/api/admin/emails', requireAdminKey, (req, res) => {
+  try {
+    const status = ['queued', 'sent', 'failed'].includes(req.query.status) ? req.query.status : null;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 100, 500);
+    res.json({ emails: queries.findEmailLog.all(status, status, limit) });
+  } catch (error) {
+    console.error('Error fetching email log:', error);
+    res.status(500).json({ error: 'Er is een fout opgetreden' });
+  }
+});
+
+// Operator API: send a failed email again
+app.post('/api/admin/emails/:id/retry', requireAdminKey, async (req, res) => {
+  try {
+    const sent = await mailer.retry(req.params.id);
+    if (sent === null) {
+      return res.status(404).json({ error: 'Niet gevonden' });
+    }
+
+    res.json({ success: sent });
+  } catch (error) {
+    console.error('Error retrying email:', error);
+    res.status(500).json({ error: 'Er is een fout opgetreden' });
+  }
+});
+
+// Operator API: trial usage of a caller number
+app.get('/api/admin/trial-usage/:phoneNumber', requireAdminKey, (req, res) => {
+  try {
+    const usage = queries.findTrialUsage.get(req.params.phoneNumber);
+    if (!usage) {
+      return res.status(404).json({ error: 'Niet gevonden' });
+    }
+
+    res.json({ usage: usage, limits: trialUsage.getTrialLimits() });
+  } catch (error) {
+    console.error('Error fetching trial usage:', error);
+    res.status(500).json({ error: 'Er is een fout opgetreden' });
+  }
+});
+
+// Operator API: let a caller number try the demo again
+app.delete('/api/admin/trial-usage/:phoneNumber', requireAdminKey, (req, res) => {
+  try {
+    const result = queries.resetTrialUsage.run(req.params.phoneNumber);
+    console.log(`[TRIAL] Usage of ${req.params.phoneNumber} reset by operator`);
+    res.json({ success: true, reset: result.changes > 0 });
+  } catch (error) {
+    console.error('Error resetting trial usage:', error);
+    res.status(500).json({ error: 'Er is een fout opgetreden' });
+  }
+});
+
+// Dashboard API: usage against the plan's allowance in this billing period
+app.get('/api/dashboard/usage', requireRole('owner', 'manager', 'staff'), (req, res) => {
+  try {
+    const customer = queries.findCustomerById.get(req.session.userId);
+    const businessProfile = queries.findBusinessByCustomerId.get(req.session.userId);
+    if (!customer || !businessProfile) {
+      return res.status(404).json({ error: 'Bedrijf niet gevonden' });
+    }
+
+    res.json({ usage: usageMetering.getUsage(customer, businessProfile) });
+  } catch (error) {
+    console.error('Error fetching usage:', error);
+    res.status(500).json({ error: 'Er is een fout opgetreden' });
+  }
+});
+
+// Dashboard API: what happens to calls when the call minutes are used up
+app.put('/api/dashboard/overage-behavior', requireRole('owner'), (req, res) => {
+  try {
+    const businessProfile = queries.findBusinessByCustomerId.get(req.session.userId);
+    if (!businessProfile) {
+      return res.status(404).json({ error: 'Bedrijf niet gevonden' });
+    }
+    if (!usageMetering.OVERAGE_BEHAVIORS.includes(req.body.overage_behavior)) {
+      return res.status(400).json({ error: 'Ongeldige keuze' });
+    }
+
+    queries.updateOverageBehavior.run(req.body.overage_behavior, businessProfile.id);
+    res.json({ success: true, overage_behavior: req.body.overage_behavior });
+  } catch (error) {
+    console.error('Error updating overage behavior:', error);
+    res.status(500).json({ error: 'Er is een fout opgetreden' });
+  }
+});
+
+// Dashboard API: recent conversations
+app.get('/api/dashboard/conversations', requireRole('owner', 'manager', 'staff'), (req, res) => {
+  try {
+    const businessProfile = queries.findBusinessByCustomerId.get(req.session.userId);
+    if (!businessProfile) {
+      return res.status(404).json({ error: 'Bedrijf niet gevonden' });
+    }
+
+    res.json({ conversations: queries.findConversationsByBusinessId.all(businessProfile.id) });
+  } catch (error) {
+    console.error('Error fetching conversations:', error);
+    res.status(500).json({ error: 'Er is een fout opgetreden' });
+  }
+});
+
+app.get('/api/dashboard/conversations/:id', requireRole('owner', 'manager', 'staff'), (req, res) => {
+  try {
+    const businessProfile = queries.findBusinessByCustomerId.get(req.session.userId);
+    if (!businessProfile) {
+      return res.status(404).json({ error: 'Bedrijf niet gevonden' });
+    }
+
+    const item = queries.findConversationById.get(req.params.id, businessProfile.id);
+    if (!item) {
+      return res.status(404).json({ error: 'Niet gevonden' });
+    }
+
+    res.json({ item });
+  } catch (error) {
+    console.error('Error fetching conversation:', error);
+    res.status(500).json({ error: 'Er is een fout opgetreden' });
+  }
+});
+
+// The original personal data of a redacted conversation, from the PII vault (owner only)
+app.get('/api/dashboard/conversations/:id/reveal', requireRole('owner'), (req, res) => {
+  try {
+    const businessProfile = queries.findBusinessByCustomerId.get(req.session.userId);
+    const conversation = businessProfile ? queries.findConversationById.get(req.params.id, businessProfile.id) : null;
+    if (!conversation) {
+      return res.status(404).json({ error: 'Niet gevonden' });
+    }
+    if (!piiVault.isEnabled()) {
+      return res.status(400).json({ error: 'De kluis voor persoonsgegevens is niet ingesteld' });
+    }
+
+    const revealed = piiVault.revealConversation(conversation);
+    console.log(`[VAULT] Owner of customer ${req.session.userId} revealed conversation ${conversation.id}`);
+    res.json({ item: revealed });
+  } catch (error) {
+    console.error('Error revealing conversation:', error);
+    res.status(500).json({ error: 'Er is een fout opgetreden' });
+  }
+});
+
+// Dashboard API: upcoming appointments
+app.get('/api/dashboard/appointments', requireRole('owner', 'manager', 'staff'), (req, res) => {
+  try {
+    const businessProfile = queries.findBusinessByCustomerId.get(req.session.userId);
+    if (!businessProfile) {
+      return res.status(404).json({ error: 'Bedrijf niet gevonden' });
+    }
+
+    res.json({ appointments: queries.findUpcomingAppointments.all(businessProfile.id) });
+  } catch (error) {
+    console.error('Error fetching appointments:', error);
+    res.status(500).json({ error: 'Er is een fout opgetreden' });
+  }
+});
+
+app.get('/api/dashboard/appointments/:id', requireRole('owner', 'manager', 'staff'), (req, res) => {
+  try {
+    const businessProfile = queries.findBusinessByCustomerId.get(req.session.userId);
+    if (!businessProfile) {
+      return res.status(404).json({ error: 'Bedrijf niet gevonden' });
+    }
+
+    const item = queries.findAppointmentById.get(req.params.id, businessProfile.id);
+    if (!item) {
+      return res.status(404).json({ error: 'Niet gevonden' });
+    }
+
+    res.json({ item });
+  } catch (error) {
+    console.error('Error fetching appointment:', error);
+    res.status(500).json({ error: 'Er is een fout opgetreden' });
+  }
+});
+
+// Dashboard API: pending callback requests
+app.get('/api/dashboard/callbacks', requireRole('owner', 'manager', 'staff'), (req, res) => {
+  try {
+    const businessProfile = queries.findBusinessByCustomerId.get(req.session.userId);
+    if (!businessProfile) {
+      return res.status(404).json({ error: 'Bedrijf niet gevonden' });
+    }
+
+    const callbacks = req.query.status === 'handled'
+      ? queries.findHandledCallbacks.all(businessProfile.id)
+      : queries.findPendingCallbacks.all(businessProfile.id);
+
+    res.json({ callbacks });
+  } catch (error) {
+    console.error('Error fetching callbacks:', error);
+    res.status(500).json({ error: 'Er is een fout opgetreden' });
+  }
+});
+
+app.get('/api/dashboard/callbacks/:id', requireRole('owner', 'manager', 'staff'), (req, res) => {
+  try {
+    const businessProfile = queries.findBusinessByCustomerId.get(req.session.userId);
+    if (!businessProfile) {
+      return res.status(404).json({ error: 'Bedrijf niet gevonden' });
+    }
+
+    const item = queries.findCallbackById.get(req.params.id, businessProfile.id);
+    if (!item) {
+      return res.status(404).json({ error: 'Niet gevonden' });
+    }
+
+    res.json({ item });
+  } catch (error) {
+    console.error('Error fetching callback:', error);
+    res.status(500).json({ error: 'Er is een fout opgetreden' });
+  }
+});
+
+// Dashboard API: assign a callback request and add notes
+app.patch('/api/dashboard/callbacks/:id', requireRole('owner', 'manager', 'staff'), (req, res) => {
+  try {
+    const businessProfile = queries.findBusinessByCustomerId.get(req.session.userId);
+    if (!businessProfile) {
+      return res.status(404).json({ error: 'Bedrijf niet gevonden' });
+    }
+
+    const callback = queries.findCallbackById.get(req.params.id, businessProfile.id);
+    if (!callback) {
+      return res.status(404).json({ error: 'Niet gevonden' });
+    }
+
+    const assignedTo = req.body.assigned_to !== undefined ? String(req.body.assigned_to).trim() : callback.assigned_to;
+    const notes = req.body.notes !== undefined ? String(req.body.notes).trim() : callback.notes;
+
+    queries.updateCallbackDetails.run(assignedTo || null, notes || null, callback.id, businessProfile.id);
+    res.json({ success: true, item: queries.findCallbackById.get(callback.id, businessProfile.id) });
+  } catch (error) {
+    console.error('Error updating callback:', error);
+    res.status(500).json({ error: 'Er is een fout opgetreden' });
+  }
+});
+
+// Dashboard API: mark a callback request handled (or reopen it)
+app.post('/api/dashboard/callbacks/:id/handled', requireRole('owner', 'manager', 'staff'), (req, res) => {
+  try {
+    const businessProfile = queries.findBusinessByCustomerId.get(req.session.userId);
+    if (!businessProfile) {
+      return res.status(404).json({ error: 'Bedrijf niet gevonden' });
+    }
+
+    const handled = req.body.handled === false ? 0 : 1;
+    const result = queries.markCallbackHandled.run(handled, handled, req.params.id, businessProfile.id);
+    if (result.changes === 0) {
+      return res.status(404).json({ error: 'Niet gevonden' });
+    }
+
+    console.log(`[CALLBACK] Request ${req.params.id} marked ${handled ? 'handled' : 'open'} by customer ID: ${req.session.userId}`);
+    res.json({ success: true, item: queries.findCallbackById.get(req.params.id, businessProfile.id) });
+  } catch (error) {
+    console.error('Error updating callback:', error);
+    res.status(500).json({ error: 'Er is een fout opgetreden' });
+  }
+});
+
+// Dashboard API: bookable services and booking settings
+app.get('/api/dashboard/services', requireRole('owner', 'manager', 'staff'), (req, res) => {
+  try {
+    const businessProfile = queries.findBusinessByCustomerId.get(req.session.userId);
+    if (!businessProfile) {
+      return res.status(404).json({ error: 'Bedrijf niet gevonden' });
+    }
+
+    res.json({
+      services: queries.findServicesByBusinessId.all(businessProfile.id),
+      booking_capacity: businessProfile.booking_capacity,
+      slot_interval_minutes: businessProfile.slot_interval_minutes
+    });
+  } catch (error) {
+    console.error('Error fetching services:', error);
+    res.status(500).json({ error: 'Er is een fout opgetreden' });
+  }
+});
+
+app.post('/api/dashboard/services', requireRole('owner', 'manager'), (req, res) => {
+  try {
+    const businessProfile = queries.findBusinessByCustomerId.get(req.session.userId);
+    if (!businessProfile) {
+      return res.status(404).json({ error: 'Bedrijf niet gevonden' });
+    }
+
+    const validationError = validateServiceInput(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const result = queries.createService.run(
+      businessProfile.id,
+      String(req.body.name).trim(),
+      Number(req.body.duration_minutes),
+      Number(req.body.buffer_minutes || 0)
+    );
+
+    res.json({ success: true, service: queries.findServiceById.get(result.lastInsertRowid, businessProfile.id) });
+  } catch (error) {
+    if (error.code === 'SQLITE_CONSTRAINT_UNIQUE') {
+      return res.status(400).json({ error: 'Deze dienst bestaat al' });
+    }
+    console.error('Error creating service:', error);
+    res.status(500).json({ error: 'Er is een fout opgetreden' });
+  }
+});
+
+app.put('/api/dashboard/services/:id', requireRole('owner', 'manager'), (req, res) => {
+  try {
+    const businessProfile = queries.findBusinessByCustomerId.get(req.session.userId);
+    if (!businessProfile) {
+      return res.status(404).json({ error: 'Bedrijf niet gevonden' });
+    }
+
+    const validationError = validateServiceInput(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const result = queries.updateService.run(
+      String(req.body.name).trim(),
+      Number(req.body.duration_minutes),
+      Number(req.body.buffer_minutes || 0),
+      req.params.id,
+      businessProfile.id
+    );
+    if (result.changes === 0) {
+      return res.status(404).json({ error: 'Niet gevonden' });
+    }
+
+    res.json({ success: true, service: queries.findServiceById.get(req.params.id, businessProfile.id) });
+  } catch (error) {
+    if (error.code === 'SQLITE_CONSTRAINT_UNIQUE') {
+      return res.status(400).json({ error: 'Deze dienst bestaat al' });
+    }
+    console.error('Error updating service:', error);
+    res.status(500).json({ error: 'Er is een fout opgetreden' });
+  }
+});
+
+app.delete('/api/dashboard/services/:id', requireRole('owner', 'manager'), (req, res) => {
+  try {
+    const businessProfile = queries.findBusinessByCustomerId.get(req.session.userId);
+    if (!businessProfile) {
+      return res.status(404).json({ error: 'Bedrijf niet gevonden' });
+    }
+
+    const result = queries.deleteService.run(req.params.id, businessProfile.id);
+    if (result.changes === 0) {
+      return res.status(404).json({ error: 'Niet gevonden' });
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error deleting service:', error);
+    res.status(500).json({ error: 'Er is een fout opgetreden' });
+  }
+});
+
+app.put('/api/dashboard/booking-settings', requireRole('owner', 'manager'), (req, res) => {
+  try {
+    const businessProfile = queries.findBusinessByCustomerId.get(req.session.userId);
+    if (!businessProfile) {
+      return res.status(404).json({ error: 'Bedrijf niet gevonden' });
+    }
+
+    const capacity = Number(req.body.booking_capacity);
+    const interval = Number(req.body.slot_interval_minutes);
+
+    if (!Number.isInteger(capacity) || capacity < 1 || capacity > 50) {
+      return res.status(400).json({ error: 'Capaciteit moet tussen 1 en 50 liggen' });
+    }
+    if (![5, 10, 15, 20, 30, 60].includes(interval)) {
+      return res.status(400).json({ error: 'Ongeldig tijdsinterval' });
+    }
+
+    queries.updateBookingSettings.run(capacity, interval, businessProfile.id);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error saving booking settings:', error);
+    res.status(500).json({ error: 'Er is een fout opgetreden' });
+  }
+});
+
+// Privacy settings: days after which transcripts and contact details are removed (null
+// keeps them) and whether personal data in new transcripts is redacted
+app.put('/api/dashboard/retention', requireRole('owner'), (req, res) => {
+  try {
+    const businessProfile = queries.findBusinessByCustomerId.get(req.session.userId);
+    if (!businessProfile) {
+      return res.status(404).json({ error: 'Bedrijf niet gevonden' });
+    }
+
+    const transcriptDays = dataRetention.parseRetentionDays(req.body.transcript_retention_days);
+    const contactDays = dataRetention.parseRetentionDays(req.body.contact_retention_days);
+    if (transcriptDays === undefined || contactDays === undefined) {
+      return res.status(400).json({ error: 'Ongeldige keuze' });
+    }
+
+    const redactTranscripts = req.body.redact_transcripts === undefined
+      ? Boolean(businessProfile.redact_transcripts)
+      : req.body.redact_transcripts === true;
+
+    queries.updatePrivacySettings.run(transcriptDays, contactDays, redactTranscripts ? 1 : 0, businessProfile.id);
+    console.log(`[RETENTION] Business ${businessProfile.id}: transcripts ${transcriptDays || 'kept'}, contacts ${contactDays || 'kept'} (days), redaction ${redactTranscripts ? 'on' : 'off'}`);
+    res.json({
+      success: true,
+      transcript_retention_days: transcriptDays,
+      contact_retention_days: contactDays,
+      redact_transcripts: redactTranscripts
+    });
+  } catch (error) {
+    console.error('Error saving retention settings:', error);
+    res.status(500).json({ error: 'Er is een fout opgetreden' });
+  }
+});
+
+// Download everything stored for the business, or with ?caller= for one caller number (GDPR requests)
+app.get('/api/dashboard/export', requireRole('owner'), (req, res) => {
+  try {
+    const customer = queries.findCustomerById.get(req.session.userId);
+    const caller = String(req.query.caller || '').trim();
+    const date = new Date().toISOString().substring(0, 10);
+
+    if (req.query.caller !== undefined && !/\d{6,}/.test(caller.replace(/\D/g, ''))) {
+      return res.status(400).json({ error: 'Ongeldig telefoonnummer' });
+    }
+
+    const bundle = caller ? dataExport.exportCaller(customer, caller) : dataExport.exportBusiness(customer);
+    const filename = caller ? `export-caller-${caller.replace(/\D/g, '')}-${date}.json` : `export-${date}.json`;
+
+    console.log(`[EXPORT] Customer ${customer.id} exported ${caller ? 'data of a caller' : 'all data'} (${req.session.userEmail})`);
+    res.attachment(filename);
+    res.send(JSON.stringify(bundle, null, 2));
+  } catch (error) {
+    console.error('Error exporting data:', error);
+    res.status(500).json({ error: 'Er is een fout opgetreden' });
+  }
+});
+
+// Dashboard API: free appointment times for a service on a date
+app.get('/api/dashboard/availability', requireRole('owner', 'manager', 'staff'), (req, res) => {
+  try {
+    const businessProfile = queries.findBusinessByCustomerId.get(req.session.userId);
+    if (!businessProfile) {
+      return res.status(404).json({ error: 'Bedrijf niet gevonden' });
+    }
+
+    const result = receptionistTools.findSlots(
+      { service: req.query.service, date: req.query.date, preferred_time: req.query.time },
+      { businessId: businessProfile.id, businessInfo: buildBusinessInfoFromProfile(businessProfile) }
+    );
+
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
+    }
+
+    res.json(result);
+  } catch (error) {
+    console.error('Error fetching availability:', error);
+    res.status(500).json({ error: 'Er is een fout opgetreden' });
+  }
+});
+
+// Team API: members and open invitations
+app.get('/api/team', requireRole('owner', 'manager'), (req, res) => {
+  try {
+    const customer = queries.findCustomerById.get(req.session.userId);
+    res.json(team.listTeam(customer));
+  } catch (error) {
+    console.error('Error fetching team:', error);
+    res.status(500).json({ error: 'Er is een fout opgetreden' });
+  }
+});
+
+// Team API: invite someone by email (owners invite managers and staff, managers staff)
+app.post('/api/team/invitations', requireRole('owner', 'manager'), rateLimit.limitByAccount('team-invite', { limit: 20, windowSeconds: 60 * 60 }), (req, res) => {
+  try {
+    const email = String(req.body.email || '').trim();
+    const role = req.body.role;
+
+    if (!email || !email.includes('@')) {
+      return res.status(400).json({ error: 'Vul een geldig emailadres in' });
+    }
+    if (!team.canAssignRole(req.userRole, role)) {
+      return res.status(400).json({ error: 'Ongeldige keuze' });
+    }
+
+    const customer = queries.findCustomerById.get(req.session.userId);
+    const businessProfile = queries.findBusinessByCustomerId.get(customer.id);
+    const { invitation, token } = team.createInvitation(customer.id, {
+      email: email,
+      role: role,
+      invitedBy: req.session.userEmail,
+      actorRole: req.userRole
+    });
+
+    mailer.sendTemplate({
+      to: invitation.email,
+      customerId: customer.id,
+      template: 'team_invite',
+      language: customer.language,
+      data: {
+        businessName: businessProfile ? businessProfile.business_name : customer.business_name,
+        inviter: req.session.userEmail,
+        role: locales.translate(locales.normalizeLanguage(customer.language), `dashboard.team.roles.${role}`),
+        link: mailer.appUrl(`/invite?token=${token}`),
+        days: team.INVITE_TTL_DAYS
+      }
+    });
+
+    res.json({
+      success: true,
+      invitation: { id: invitation.id, email: invitation.email, role: invitation.role, expires_at: invitation.expires_at }
+    });
+  } catch (error) {
+    if (error.code === 'EMAIL_IN_USE') {
+      return res.status(400).json({ error: 'Dit emailadres is al geregistreerd' });
+    }
+    console.error('Error inviting team member:', error);
+    res.status(500).json({ error: 'Er is een fout opgetreden' });
+  }
+});
 
-    if (!progress) {
-      return res.json({ progress: null });
+// Team API: withdraw an open invitation
+app.delete('/api/team/invitations/:id', requireRole('owner', 'manager'), (req, res) => {
+  try {
+    const invitation = queries.findTeamInvitationById.get(req.params.id, req.session.userId);
+    if (!invitation || invitation.accepted_at) {
+      return res.status(404).json({ error: 'Niet gevonden' });
+    }
+    if (!team.canAssignRole(req.userRole, invitation.role)) {
+      return res.status(403).json({ error: 'U heeft hiervoor geen rechten' });
     }
 
-    res.json({ progress });
+    queries.deleteTeamInvitation.run(invitation.id, req.session.userId);
+    res.json({ success: true });
   } catch (error) {
-    console.error('Error fetching setup progress:', error);
+    console.error('Error withdrawing invitation:', error);
     res.status(500).json({ error: 'Er is een fout opgetreden' });
   }
 });
 
-// Save setup progress
-app.post('/api/setup/progress', requireAuthAPI, (req, res) => {
+// Team API: change a member's role (owner only)
+app.patch('/api/team/members/:id', requireRole('owner'), (req, res) => {
   try {
-    const { current_step, step1_data, step2_data, step3_data, step4_data } = req.body;
+    const member = queries.findTeamMemberById.get(req.params.id, req.session.userId);
+    if (!member) {
+      return res.status(404).json({ error: 'Niet gevonden' });
+    }
+    if (!team.canAssignRole(req.userRole, req.body.role)) {
+      return res.status(400).json({ error: 'Ongeldige keuze' });
+    }
 
-    const existing = queries.findSetupProgress.get(req.session.userId);
+    queries.updateTeamMemberRole.run(req.body.role, member.id, req.session.userId);
+    console.log(`[TEAM] Member ${member.id} of customer ${req.session.userId} is now ${req.body.role}`);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error updating team member:', error);
+    res.status(500).json({ error: 'Er is een fout opgetreden' });
+  }
+});
 
-    if (existing) {
-      queries.updateSetupProgress.run(
-        current_step || existing.current_step,
-        step1_data || existing.step1_data,
-        step2_data || existing.step2_data,
-        step3_data || existing.step3_data,
-        step4_data || existing.step4_data,
-        req.session.userId
-      );
-    } else {
-      queries.createSetupProgress.run(req.session.userId, step1_data || '{}');
+// Team API: remove a member; their sessions stop working (managers can remove staff)
+app.delete('/api/team/members/:id', requireRole('owner', 'manager'), (req, res) => {
+  try {
+    const member = queries.findTeamMemberById.get(req.params.id, req.session.userId);
+    if (!member) {
+      return res.status(404).json({ error: 'Niet gevonden' });
+    }
+    if (!team.canAssignRole(req.userRole, member.role)) {
+      return res.status(403).json({ error: 'U heeft hiervoor geen rechten' });
     }
 
+    queries.deleteTeamMember.run(member.id, req.session.userId);
+    console.log(`[TEAM] Member ${member.id} (${member.email}) removed from customer ${req.session.userId}`);
     res.json({ success: true });
   } catch (error) {
-    console.error('Error saving setup progress:', error);
+    console.error('Error removing team member:', error);
     res.status(500).json({ error: 'Er is een fout opgetreden' });
   }
 });
 
-// Complete setup
-app.post('/api/setup/complete', requireAuthAPI, async (req, res) => {
+// Invitation link: is it still valid, and for which business?
+app.get('/api/invitations/:token', (req, res) => {
+  const invitation = team.findInvitation(req.params.token);
+  if (!invitation) {
+    return res.json({ valid: false });
+  }
+
+  res.json({
+    valid: true,
+    email: invitation.email,
+    role: invitation.role,
+    business_name: invitation.business_name
+  });
+});
+
+// Accept an invitation: choose a name and password, then log in
+app.post('/api/invitations/accept', async (req, res) => {
   try {
-    const {
-      business_name,
-      business_type,
-      address,
-      website,
-      owner_phone,
-      description,
-      opening_hours,
-      languages,
-      special_rules,
-      greeting_message,
-      backup_phone,
-      connection_method
-    } = req.body;
+    const { token, name, password, confirm_password } = req.body;
 
-    // Update business profile
-    queries.updateBusinessProfile.run(
-      business_name,
-      business_type,
-      address,
-      website || '',
-      owner_phone,
-      description,
-      opening_hours,
-      languages,
-      special_rules || '',
-      greeting_message || '',
-      backup_phone || owner_phone,
-      connection_method,
-      1, // is_setup_complete
-      req.session.userId
-    );
+    if (!token || !password || !confirm_password) {
+      return res.status(400).json({ error: 'Vul alle velden in' });
+    }
 
-    console.log(`[SETUP] Setup completed for customer ID: ${req.session.userId}`);
+    if (password.length < 8) {
+      return res.status(400).json({ error: 'Wachtwoord moet minimaal 8 karakters bevatten' });
+    }
 
-    res.json({ success: true });
+    if (password !== confirm_password) {
+      return res.status(400).json({ error: 'Wachtwoorden komen niet overeen' });
+    }
+
+    const hashedPassword = await bcrypt.hash(password, 10);
+    const member = team.acceptInvitation(token, { name: name, passwordHash: hashedPassword });
 
+    startUserSession(req, queries.findCustomerById.get(member.customer_id), member);
+    res.json({ success: true, redirect: '/dashboard' });
   } catch (error) {
-    console.error('Error completing setup:', error);
-    res.status(500).json({ error: 'Er is een fout opgetreden' });
+    if (error.code === 'INVALID_TOKEN') {
+      return res.status(400).json({ error: 'Deze uitnodiging is verlopen of al gebruikt. Vraag een nieuwe aan.' });
+    }
+    if (error.code === 'EMAIL_IN_USE') {
+      return res.status(400).json({ error: 'Dit emailadres is al geregistreerd' });
+    }
+    console.error('Accept invitation error:', error);
+    res.status(500).json({ error: 'Er is een fout opgetreden. Probeer het opnieuw.' });
   }
 });
 
 // API endpoint to setup business info
-app.post('/api/setup', (req, res) => {
+app.post('/api/setup', rateLimit.limitByIp('demo-setup', { limit: 20, windowSeconds: 60 * 60 }), (req, res) => {
   const businessInfo = req.body;
 
   // Validate required fields
@@ -493,10 +2363,22 @@ app.post('/api/setup', (req, res) => {
     return res.status(400).json({ error: 'Missing required fields' });
   }
 
+  // Free text is fine; a weekly schedule must be valid, the call and chat prompts rely on it
+  const schedule = openingHours.parseOpeningHours(businessInfo.openingHours);
+  if (schedule && openingHours.validateOpeningHours(schedule)) {
+    return res.status(400).json({ error: 'Invalid opening hours' });
+  }
+
+  // Logged-in customers testing their own receptionist get their calls stored
+  const businessProfile = hasValidSession(req)
+    ? queries.findBusinessByCustomerId.get(req.session.userId)
+    : null;
+
   // Generate a session ID for this business
   const sessionId = generateSessionId();
   const sessionData = {
     businessInfo: businessInfo,
+    businessId: businessProfile ? businessProfile.id : null,
     createdAt: Date.now(),
     sessionId: sessionId
   };
@@ -531,13 +2413,17 @@ app.get('/api/phone-number', (req, res) => {
   });
 });
 
-// API endpoint for chat
-app.post('/api/chat', async (req, res) => {
+// API endpoint for chat; limited per IP in requests and in Claude tokens per day
+app.post('/api/chat', rateLimit.limitByIp('chat', { limit: 20, windowSeconds: 60 }), async (req, res) => {
   try {
-    const { message, businessInfo, conversationHistory = [] } = req.body;
+    const { message, sessionId } = req.body;
+    let { chatId } = req.body;
 
-    if (!message || !businessInfo) {
-      return res.status(400).json({ error: 'Message and business info are required' });
+    if (typeof message !== 'string' || !message.trim()) {
+      return res.status(400).json({ error: 'Typ een bericht' });
+    }
+    if (message.length > MAX_CHAT_MESSAGE_LENGTH) {
+      return res.status(400).json({ error: 'Dit bericht is te lang' });
     }
 
     // Check if API key is configured
@@ -547,45 +2433,73 @@ app.post('/api/chat', async (req, res) => {
       });
     }
 
+    const budgetKey = `chat-tokens:ip:${req.ip}`;
+    const budget = rateLimit.peek(budgetKey, CHAT_TOKEN_BUDGET);
+    if (!budget.allowed) {
+      console.log(`[RATE LIMIT] ${budgetKey} used its chat token budget`);
+      return rateLimit.sendTooManyRequests(req, res, budget.retryAfterSeconds, 'errors.chat_budget');
+    }
+
+    // Continue an existing chat or start a new one for this business session
+    let chat = chatId ? chatSessions.get(chatId) : null;
+
+    if (!chat) {
+      const sessionData = sessionId ? businessSessions.get(sessionId) : null;
+      const businessInfo = sessionData ? sessionData.businessInfo : req.body.businessInfo;
+
+      if (!businessInfo) {
+        return res.status(400).json({ error: 'Invalid session' });
+      }
+
+      if (chatSessions.size >= MAX_CHAT_SESSIONS) {
+        console.warn(`[CHAT START] Refused, ${chatSessions.size} chats open`);
+        return res.status(503).json({ error: 'Het is op dit moment te druk. Probeer het over een paar minuten opnieuw.' });
+      }
+
+      chatId = generateSessionId();
+      chat = {
+        businessInfo: businessInfo,
+        businessId: sessionData ? sessionData.businessId : null,
+        conversationHistory: [],
+        startTime: Date.now(),
+        lastActivity: Date.now(),
+        actionTaken: 'info_given'
+      };
+      chatSessions.set(chatId, chat);
+      console.log(`[CHAT START] Chat ${chatId} for business: ${businessInfo.businessName}`);
+    }
+
     // Build system prompt based on business info
-    const systemPrompt = buildSystemPrompt(businessInfo);
+    const systemPrompt = buildSystemPrompt(chat.businessInfo);
 
     // Build conversation messages
     const messages = [
-      ...conversationHistory,
+      ...chat.conversationHistory,
       {
         role: 'user',
         content: message
       }
     ];
 
-    // Call Claude API
-    const response = await anthropic.messages.create({
-      model: 'claude-haiku-4-5',
-      max_tokens: 1024,
-      system: systemPrompt,
-      messages: messages
+    // Call Claude API (may book appointments through tools)
+    const reply = await createReceptionistReply(chat, systemPrompt, messages, 1024, (tokens) => {
+      rateLimit.consume(budgetKey, tokens, CHAT_TOKEN_BUDGET);
     });
 
-    // Extract reply
-    const reply = response.content[0].text;
-
     // Update conversation history
-    const updatedHistory = [
-      ...conversationHistory,
-      {
-        role: 'user',
-        content: message
-      },
-      {
-        role: 'assistant',
-        content: reply
-      }
-    ];
+    chat.conversationHistory.push({
+      role: 'user',
+      content: message
+    });
+    chat.conversationHistory.push({
+      role: 'assistant',
+      content: reply
+    });
+    chat.lastActivity = Date.now();
 
     res.json({
       reply: reply,
-      conversationHistory: updatedHistory
+      chatId: chatId
     });
 
   } catch (error) {
@@ -601,6 +2515,18 @@ app.post('/api/chat', async (req, res) => {
   }
 });
 
+// API endpoint to end a chat and store it
+app.post('/api/chat/end', (req, res) => {
+  const { chatId } = req.body;
+
+  if (!chatId || !chatSessions.has(chatId)) {
+    return res.status(404).json({ error: 'Chat not found' });
+  }
+
+  const conversationId = finalizeChatSession(chatId);
+  res.json({ success: true, conversationId: conversationId });
+});
+
 // Twilio webhook: Incoming call
 app.post('/api/voice/incoming', (req, res) => {
   const callSid = req.body.CallSid;
@@ -623,60 +2549,132 @@ app.post('/api/voice/incoming', (req, res) => {
 
   const twiml = new VoiceResponse();
 
-  // Check if this phone number has already used their trial (only if restrictions are enabled)
-  if (ENABLE_TRIAL_RESTRICTIONS && trialPhoneNumbers.has(from)) {
-    console.log(`[CALL REJECTED] Trial already used by ${from}`);
-    twiml.say({
-      voice: 'Polly.Joanna'
-    }, 'Thank you for calling. You have already used your free trial. Visit youraisolution.nl to get this service for your business. Goodbye!');
+  // Numbers assigned to a customer ring through to their saved profile
+  const businessProfile = queries.findBusinessByPhoneNumber.get(to, to);
+
+  let businessInfo;
+  let businessId = null;
+  let sessionId = null;
+  let trialLimitMinutes = null;
+
+  // Our own forwarding test call, coming back in through the customer's forwarding
+  if (businessProfile && forwardingVerification.isVerificationCall(businessProfile, from, process.env.TWILIO_PHONE_NUMBER)) {
+    console.log(`[FORWARDING] Test call arrived for business ${businessProfile.id}`);
+    twiml.gather({
+      input: 'dtmf',
+      finishOnKey: '#',
+      timeout: 15,
+      action: '/api/voice/forwarding-verify',
+      method: 'POST'
+    });
     twiml.hangup();
     return res.type('text/xml').send(twiml.toString());
   }
 
-  // Look up session: First check if this Twilio number has a mapped session
-  let sessionId = twilioNumberToSession.get(to);
+  if (businessProfile) {
+    if (!businessProfile.is_setup_complete) {
+      console.log(`[CALL REJECTED] Business ${businessProfile.id} has not completed setup`);
+      twiml.say({
+        voice: 'Polly.Joanna'
+      }, 'Thank you for calling. This receptionist is not set up yet. Please try again later. Goodbye!');
+      twiml.hangup();
+      return res.type('text/xml').send(twiml.toString());
+    }
+
+    const customer = queries.findCustomerById.get(businessProfile.customer_id);
+    if (accountLifecycle.isSuspended(customer)) {
+      console.log(`[CALL REJECTED] Business ${businessProfile.id} is suspended (trial ended)`);
+      twiml.say({
+        voice: 'Polly.Joanna'
+      }, accountLifecycle.getSuspendedCallMessage());
+      twiml.hangup();
+      return res.type('text/xml').send(twiml.toString());
+    }
 
-  // If no mapped session, get the most recent active session
-  if (!sessionId) {
-    sessionId = getActiveSession();
-    console.log(`[SESSION LOOKUP] No mapping for ${to}, using most recent session: ${sessionId}`);
+    // Calls beyond the plan's minutes follow the business's overage behavior
+    const usage = usageMetering.getUsage(customer, businessProfile);
+    if (usage.callMinutesExceeded) {
+      console.log(`[USAGE] Business ${businessProfile.id} used ${usage.used.callMinutes}/${usage.allowance.callMinutes} call minutes (${usage.overageBehavior})`);
+
+      if (usage.overageBehavior === 'warn' && usageMetering.notifyExceeded(customer, usage)) {
+        console.log(`[USAGE] Emailed customer ${customer.id} that the call minutes are used up`);
+      }
+
+      if (usage.overageBehavior === 'block') {
+        twiml.say({
+          voice: 'Polly.Joanna'
+        }, 'Thank you for calling. We cannot take your call right now. Please try again later. Goodbye!');
+        twiml.hangup();
+        return res.type('text/xml').send(twiml.toString());
+      }
+    }
+
+    businessInfo = buildBusinessInfoFromProfile(businessProfile);
+    businessId = businessProfile.id;
+    console.log(`[ROUTING] ${to} belongs to business ${businessId}`);
   } else {
-    console.log(`[SESSION LOOKUP] Found mapped session for ${to}: ${sessionId}`);
-  }
+    // Only the shared demo number serves website trials; other numbers must never
+    // fall through to whichever visitor set up a trial most recently
+    if (process.env.TWILIO_PHONE_NUMBER && to !== process.env.TWILIO_PHONE_NUMBER) {
+      console.log(`[CALL REJECTED] ${to} is not assigned to any business`);
+      twiml.say({
+        voice: 'Polly.Joanna'
+      }, 'Sorry, this number is not in use. Goodbye!');
+      twiml.hangup();
+      return res.type('text/xml').send(twiml.toString());
+    }
 
-  if (!sessionId) {
-    console.log(`[CALL REJECTED] No active sessions found`);
-    twiml.say({
-      voice: 'Polly.Joanna'
-    }, 'Welcome to Your AI Solution. Please set up your trial on our website at youraisolution.nl first, then call this number. Goodbye!');
-    twiml.hangup();
-    return res.type('text/xml').send(twiml.toString());
-  }
+    // Check if this phone number has used up its trial (only if restrictions are enabled)
+    const allowance = trialUsage.checkAllowance(from);
+    if (ENABLE_TRIAL_RESTRICTIONS && !allowance.allowed) {
+      console.log(`[CALL REJECTED] Trial used up by ${from} (${allowance.reason} limit)`);
+      twiml.say({
+        voice: 'Polly.Joanna'
+      }, 'Thank you for calling. You have already used your free trial. Visit youraisolution.nl to get this service for your business. Goodbye!');
+      twiml.hangup();
+      return res.type('text/xml').send(twiml.toString());
+    }
 
-  const sessionData = businessSessions.get(sessionId);
+    // The demo number serves the most recent trial setup from the website
+    sessionId = getActiveSession();
+    console.log(`[SESSION LOOKUP] Demo number ${to}, using most recent session: ${sessionId}`);
 
-  if (!sessionData || !sessionData.businessInfo) {
-    console.log(`[CALL ERROR] No business info found for session ${sessionId}`);
-    twiml.say({
-      voice: 'Polly.Joanna'
-    }, 'Sorry, we could not find your business information. Please try again from the website. Goodbye!');
-    twiml.hangup();
-    return res.type('text/xml').send(twiml.toString());
-  }
+    if (!sessionId) {
+      console.log(`[CALL REJECTED] No active sessions found`);
+      twiml.say({
+        voice: 'Polly.Joanna'
+      }, 'Welcome to Your AI Solution. Please set up your trial on our website at youraisolution.nl first, then call this number. Goodbye!');
+      twiml.hangup();
+      return res.type('text/xml').send(twiml.toString());
+    }
+
+    const sessionData = businessSessions.get(sessionId);
 
-  const businessInfo = sessionData.businessInfo;
+    if (!sessionData || !sessionData.businessInfo) {
+      console.log(`[CALL ERROR] No business info found for session ${sessionId}`);
+      twiml.say({
+        voice: 'Polly.Joanna'
+      }, 'Sorry, we could not find your business information. Please try again from the website. Goodbye!');
+      twiml.hangup();
+      return res.type('text/xml').send(twiml.toString());
+    }
+
+    businessInfo = sessionData.businessInfo;
+    businessId = sessionData.businessId || null;
+
+    // Usage is always tracked, limits only apply with restrictions enabled
+    trialUsage.recordCallStart(from);
+    trialLimitMinutes = ENABLE_TRIAL_RESTRICTIONS
+      ? trialUsage.getCallLimitMinutes(allowance)
+      : trialUsage.TRIAL_CALL_MINUTES;
+  }
 
   // Log which business is handling this call
   console.log(`[CALL CONNECTED] Business: ${businessInfo.businessName}`);
   console.log(`[CALL CONNECTED] Type: ${businessInfo.businessType}`);
-  console.log(`[CALL CONNECTED] Session: ${sessionId}`);
+  console.log(`[CALL CONNECTED] Session: ${sessionId || 'stored profile'}`);
   console.log(`[CALL CONNECTED] Concurrent calls: ${callSessions.size + 1}`);
 
-  // Mark this number as having used the trial (only if restrictions are enabled)
-  if (ENABLE_TRIAL_RESTRICTIONS) {
-    trialPhoneNumbers.add(from);
-  }
-
   // Get primary language from business info (default to Dutch)
   let primaryLanguage = 'nl-NL';
   if (businessInfo.languages && businessInfo.languages.length > 0) {
@@ -704,11 +2702,15 @@ app.post('/api/voice/incoming', (req, res) => {
   // Create call session (each call is independent)
   callSessions.set(callSid, {
     businessInfo: businessInfo,
+    businessId: businessId,
+    isTrialDemo: !businessProfile,
+    trialLimitMinutes: trialLimitMinutes,
     businessName: businessInfo.businessName,
     conversationHistory: [],
     startTime: callStartTime,
     from: from,
     sessionId: sessionId,
+    actionTaken: 'info_given',
     lastLanguage: primaryLanguage, // Track the last detected language for Gather
     activeVoiceLanguage: primaryLanguage // Track the currently active voice/language
   });
@@ -727,7 +2729,7 @@ app.post('/api/voice/incoming', (req, res) => {
     'pt-BR': `Olá! Obrigado por ligar para ${businessInfo.businessName}. Como posso ajudá-lo?`,
     'it-IT': `Ciao! Grazie per aver chiamato ${businessInfo.businessName}. Come posso aiutarti?`
   };
-  const welcomeGreeting = greetings[primaryLanguage] || greetings['en-US'];
+  const welcomeGreeting = businessInfo.greetingMessage || greetings[primaryLanguage] || greetings['en-US'];
 
   // Get the voice config for the primary language
   const voiceConfig = LANGUAGE_VOICE_MAP[primaryLanguage] || LANGUAGE_VOICE_MAP['en-US'];
@@ -765,8 +2767,25 @@ app.post('/api/voice/incoming', (req, res) => {
   res.type('text/xml').send(twimlXml);
 });
 
-// Twilio webhook: Process speech input
-app.post('/api/voice/process', async (req, res) => {
+// Twilio webhook: Process speech input. A failure still answers Twilio with a goodbye, so the
+// caller isn't left in silence and the rejected promise can't bring the server down
+app.post('/api/voice/process', (req, res) => {
+  processSpeechInput(req, res).catch(error => {
+    console.error(`[VOICE] Processing failed for CallSid ${req.body.CallSid}:`, error);
+    if (res.headersSent) {
+      return;
+    }
+
+    const twiml = new VoiceResponse();
+    twiml.say({
+      voice: 'Polly.Joanna'
+    }, 'Sorry, something went wrong. Please call again later. Goodbye!');
+    twiml.hangup();
+    res.type('text/xml').send(twiml.toString());
+  });
+});
+
+async function processSpeechInput(req, res) {
   const callSid = req.body.CallSid;
   const speechResult = req.body.SpeechResult;
 
@@ -793,21 +2812,20 @@ app.post('/api/voice/process', async (req, res) => {
     return res.type('text/xml').send(twiml.toString());
   }
 
-  // Check if 3 minutes have elapsed
+  // Check if the demo time is up (demo calls only)
   const elapsed = (Date.now() - session.startTime) / 1000 / 60; // minutes
-  if (elapsed >= 3) {
+  if (session.isTrialDemo && elapsed >= session.trialLimitMinutes) {
     const callDuration = ((Date.now() - session.startTime) / 1000).toFixed(1); // seconds
     console.log(`[CALL END] CallSid: ${callSid}`);
     console.log(`[CALL END] Business: ${session.businessName}`);
     console.log(`[CALL END] Duration: ${callDuration}s`);
     console.log(`[CALL END] Reason: Trial time limit reached`);
-    console.log(`[CALL END] Active calls remaining: ${callSessions.size - 1}`);
 
     twiml.say({
       voice: 'Polly.Joanna'
     }, 'Thanks for trying Your AI Solution! Visit youraisolution.nl to get this for your business. Goodbye!');
     twiml.hangup();
-    callSessions.delete(callSid);
+    // The status callback saves the call once Twilio reports its duration
     return res.type('text/xml').send(twiml.toString());
   }
 
@@ -847,9 +2865,10 @@ app.post('/api/voice/process', async (req, res) => {
     return res.type('text/xml').send(twiml.toString());
   }
 
+  const apiStartTime = Date.now();
+
   try {
     console.log(`[CLAUDE API] Calling API for ${session.businessName}...`);
-    const apiStartTime = Date.now();
 
     // Build system prompt with multi-language support
     const systemPrompt = buildSystemPromptForVoiceMultiLanguage(session.businessInfo);
@@ -863,25 +2882,31 @@ app.post('/api/voice/process', async (req, res) => {
       }
     ];
 
-    // Call Claude API with timeout
-    const apiTimeout = new Promise((_, reject) =>
-      setTimeout(() => reject(new Error('API timeout')), 10000) // 10 second timeout
-    );
-
-    const apiCall = anthropic.messages.create({
-      model: 'claude-haiku-4-5',
-      max_tokens: 300,
-      system: systemPrompt,
-      messages: messages
+    // Call Claude API with timeout; the abort keeps tools from running after the caller heard the delay message
+    const apiAbort = new AbortController();
+    let apiTimer;
+    const apiTimeout = new Promise((_, reject) => {
+      apiTimer = setTimeout(() => {
+        apiAbort.abort();
+        reject(new Error('API timeout'));
+      }, 10000); // 10 second timeout
     });
 
-    const response = await Promise.race([apiCall, apiTimeout]);
+    // Bookings of this turn, so a failed reply can still confirm them (see the catch below)
+    session.bookingsThisTurn = [];
+    const apiCall = createReceptionistReply(session, systemPrompt, messages, 300, null, apiAbort.signal);
+
+    let reply;
+    try {
+      reply = await Promise.race([apiCall, apiTimeout]);
+    } finally {
+      clearTimeout(apiTimer);
+    }
+    session.bookingsThisTurn = null;
 
     const apiDuration = Date.now() - apiStartTime;
     console.log(`[CLAUDE API] Response received in ${apiDuration}ms`);
 
-    let reply = response.content[0].text;
-
     // Parse language tag from Claude's response [LANG:xx-XX]
     let detectedLanguage = session.lastLanguage || 'en-US'; // Default to last language or English
     const langMatch = reply.match(/\[LANG:([\w-]+)\]/);
@@ -967,21 +2992,30 @@ app.post('/api/voice/process', async (req, res) => {
       session.lastLanguage = detectedLanguage;
     }
 
+    // The receptionist decided to put the caller through to a person
+    if (session.pendingTransfer) {
+      twiml.say({
+        voice: voiceConfig.voice,
+        language: voiceConfig.language
+      }, getTransferMessage(detectedLanguage, 'hold'));
+      dialTransferTarget(twiml, session);
+      return res.type('text/xml').send(twiml.toString());
+    }
+
     // Check time again before gathering more input
     const newElapsed = (Date.now() - session.startTime) / 1000 / 60;
-    if (newElapsed >= 3) {
+    if (session.isTrialDemo && newElapsed >= session.trialLimitMinutes) {
       const callDuration = ((Date.now() - session.startTime) / 1000).toFixed(1); // seconds
       console.log(`[CALL END] CallSid: ${callSid}`);
       console.log(`[CALL END] Business: ${session.businessName}`);
       console.log(`[CALL END] Duration: ${callDuration}s`);
       console.log(`[CALL END] Reason: Trial time limit reached (after response)`);
-      console.log(`[CALL END] Active calls remaining: ${callSessions.size - 1}`);
 
       twiml.say({
         voice: 'Polly.Joanna'
       }, 'Thanks for trying Your AI Solution! Visit youraisolution.nl to get this for your business. Goodbye!');
       twiml.hangup();
-      callSessions.delete(callSid);
+      // The status callback saves the call once Twilio reports its duration
     } else {
       // Gather next speech input with the language matching the response
       // Use the updated language (after any handoff) for speech recognition
@@ -1003,11 +3037,28 @@ app.post('/api/voice/process', async (req, res) => {
   } catch (error) {
     const apiDuration = Date.now() - apiStartTime;
 
+    // A transfer queued during a failed reply would surprise the caller on the next turn
+    session.pendingTransfer = null;
+
     // Get current language for error messages
     const currentLang = session.activeVoiceLanguage || session.lastLanguage || 'en-US';
     const currentVoiceConfig = LANGUAGE_VOICE_MAP[currentLang] || LANGUAGE_VOICE_MAP['en-US'];
     const gatherLang = SPEECH_RECOGNITION_MAP[currentLang] || 'en-US';
 
+    // Appointments stored before the reply failed stand: tell the caller, and keep it in the
+    // history so the next reply knows
+    const bookings = session.bookingsThisTurn || [];
+    session.bookingsThisTurn = null;
+    if (bookings.length > 0) {
+      const confirmation = bookings.map(booking => getBookedMessage(currentLang, booking)).join(' ');
+      twiml.say({
+        voice: currentVoiceConfig.voice,
+        language: currentVoiceConfig.language
+      }, confirmation);
+      session.conversationHistory.push({ role: 'user', content: speechResult });
+      session.conversationHistory.push({ role: 'assistant', content: confirmation });
+    }
+
     const delayMessages = {
       'nl-NL': 'We ondervinden een korte vertraging. Een moment geduld alstublieft.',
       'en-US': 'We\'re experiencing a brief delay. One moment please.',
@@ -1082,6 +3133,112 @@ app.post('/api/voice/process', async (req, res) => {
 
     res.type('text/xml').send(twiml.toString());
   }
+}
+
+// Twilio webhook: Result of a live transfer <Dial>
+app.post('/api/voice/transfer', (req, res) => {
+  const callSid = req.body.CallSid;
+  const dialStatus = req.body.DialCallStatus;
+  const twiml = new VoiceResponse();
+
+  const session = callSessions.get(callSid);
+  if (!session || !session.pendingTransfer) {
+    console.log(`[TRANSFER] CallSid: ${callSid} Status: ${dialStatus} (no pending transfer)`);
+    twiml.hangup();
+    return res.type('text/xml').send(twiml.toString());
+  }
+
+  const transfer = session.pendingTransfer;
+  console.log(`[TRANSFER] CallSid: ${callSid} Attempt: ${transfer.attempt + 1}/${transfer.targets.length} Status: ${dialStatus}`);
+
+  // Answered and finished: the caller spoke to a person, nothing left for the receptionist
+  if (dialStatus === 'completed' || dialStatus === 'answered') {
+    console.log(`[TRANSFER] Outcome: connected (${session.businessName})`);
+    session.pendingTransfer = null;
+    if (session.actionTaken !== 'appointment_booked') {
+      session.actionTaken = 'transferred';
+    }
+    twiml.hangup();
+    return res.type('text/xml').send(twiml.toString());
+  }
+
+  // No answer, busy or failed: try the backup phone
+  if (transfer.attempt + 1 < transfer.targets.length) {
+    transfer.attempt++;
+    dialTransferTarget(twiml, session);
+    return res.type('text/xml').send(twiml.toString());
+  }
+
+  // Nobody picked up, hand the caller back to the receptionist
+  console.log(`[TRANSFER] Outcome: not answered (${session.businessName})`);
+  session.pendingTransfer = null;
+  session.transferUnavailable = true;
+
+  const currentLang = session.activeVoiceLanguage || session.lastLanguage || 'en-US';
+  const currentVoiceConfig = LANGUAGE_VOICE_MAP[currentLang] || LANGUAGE_VOICE_MAP['en-US'];
+  const unavailableMessage = getTransferMessage(currentLang, 'unavailable');
+
+  // Keep the transcript in sync with what the caller heard
+  session.conversationHistory[session.conversationHistory.length - 1].content += ` ${unavailableMessage}`;
+
+  twiml.say({
+    voice: currentVoiceConfig.voice,
+    language: currentVoiceConfig.language
+  }, unavailableMessage);
+
+  twiml.gather({
+    input: 'speech',
+    action: '/api/voice/process',
+    method: 'POST',
+    speechTimeout: 'auto',
+    speechModel: 'phone_call',
+    language: SPEECH_RECOGNITION_MAP[currentLang] || 'en-US'
+  });
+
+  res.type('text/xml').send(twiml.toString());
+});
+
+// Twilio webhook: Token digits heard on a forwarded test call
+app.post('/api/voice/forwarding-verify', (req, res) => {
+  const twiml = new VoiceResponse();
+  const businessProfile = queries.findBusinessByPhoneNumber.get(req.body.To, req.body.To);
+
+  if (businessProfile) {
+    forwardingVerification.confirmToken(businessProfile, req.body.Digits);
+  }
+
+  twiml.hangup();
+  res.type('text/xml').send(twiml.toString());
+});
+
+// Twilio webhook: Status of the outgoing forwarding test call
+app.post('/api/voice/forwarding-status', (req, res) => {
+  const businessId = parseInt(req.query.business, 10);
+  const callStatus = req.body.CallStatus;
+
+  console.log(`[FORWARDING] Test call ${req.body.CallSid} for business ${businessId}: ${callStatus}`);
+
+  if (FINAL_CALL_STATUSES.includes(callStatus) && !Number.isNaN(businessId)) {
+    forwardingVerification.finishTestCall(businessId, callStatus);
+  }
+
+  res.sendStatus(204);
+});
+
+// Twilio webhook: Call status changes (configure as the number's status callback)
+app.post('/api/voice/status', (req, res) => {
+  const callSid = req.body.CallSid;
+  const callStatus = req.body.CallStatus;
+  const callDuration = parseInt(req.body.CallDuration, 10);
+
+  console.log(`[CALL STATUS] CallSid: ${callSid} Status: ${callStatus}`);
+
+  if (FINAL_CALL_STATUSES.includes(callStatus)) {
+    finalizeCallSession(callSid, Number.isNaN(callDuration) ? undefined : callDuration);
+    console.log(`[CALL END] Active calls remaining: ${callSessions.size}`);
+  }
+
+  res.sendStatus(204);
 });
 
 // Helper function to strip emojis and special characters
@@ -1122,7 +3279,7 @@ BUSINESS INFORMATION:
 ${businessInfo.description}
 
 OPENING HOURS:
-${businessInfo.openingHours}
+${openingHours.buildOpeningHoursFacts(businessInfo.openingHours, businessInfo.timezone)}
 
 SPECIAL RULES:
 ${businessInfo.specialRules}
@@ -1201,8 +3358,8 @@ FORMATTING RULES:
 - Speak in complete sentences, not lists
 
 HANDLING REQUESTS:
-- For reservations/orders: Confirm details back ("So that's a table for 4 at 7pm, correct?")
-- If you don't know: "I'm not sure about that, but I can have someone get back to you. Can I take your number?"
+- For reservations/orders: Confirm details back ("So that's a table for 4 at 7pm, correct?"), then book it if you have a booking tool
+- If you don't know: "I'm not sure about that, but I can have someone get back to you. Can I take your number?" and then use the callback tool if you have one
 - To close: "Is there anything else I can help with?" then "Thanks for reaching out!"
 
 Remember: You ARE the receptionist for ${businessInfo.businessName}. Be warm, helpful, and natural.`;
@@ -1216,7 +3373,7 @@ BUSINESS INFORMATION:
 ${businessInfo.description}
 
 OPENING HOURS:
-${businessInfo.openingHours}
+${openingHours.buildOpeningHoursFacts(businessInfo.openingHours, businessInfo.timezone)}
 
 SPECIAL RULES:
 ${businessInfo.specialRules}
@@ -1326,16 +3483,16 @@ FORMATTING RULES:
 - NEVER repeat full menus or price lists unless specifically asked - give relevant info only
 
 HANDLING REQUESTS:
-- For reservations/orders: Confirm details back to them ("So that's a large pepperoni and two colas, is that right?")
-- If you don't know something: "I'm not sure about that, but I can have someone from the team get back to you. Can I take your number?"
+- For reservations/orders: Confirm details back to them ("So that's a large pepperoni and two colas, is that right?"), then book it if you have a booking tool
+- If you don't know something: "I'm not sure about that, but I can have someone from the team get back to you. Can I take your number?" and then use the callback tool if you have one
 - To close conversation: "Is there anything else I can help with?" then "Thanks for calling, have a great day!"
 
 Remember: You ARE the receptionist for ${businessInfo.businessName}. Sound warm, natural, and professional like a real person on the phone.`;
 }
 
-// Helper function to generate session ID
+// Session and chat IDs are the only credential for their conversation, so they must be unguessable
 function generateSessionId() {
-  return Math.random().toString(36).substring(2, 15) + Math.random().toString(36).substring(2, 15);
+  return crypto.randomBytes(16).toString('hex');
 }
 
 // Start server
@@ -0,0 +1,125 @@
+// Availability and slot engine for appointments.
+//
+// A slot is free when fewer than `capacity` confirmed appointments (staff members
+// or rooms) overlap it. Each appointment occupies its duration plus the buffer of
+// its service (clean-up, travel). Overnight opening ranges are only bookable up
+// to midnight so an appointment never spans two dates.
+
+const openingHours = require('./opening-hours');
+
+const DEFAULT_DURATION_MINUTES = 30;
+const DEFAULT_SLOT_INTERVAL_MINUTES = 15;
+const MINUTES_PER_DAY = 24 * 60;
+
+function toMinutes(time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+function toTime(minutes) {
+  const hours = String(Math.floor(minutes / 60)).padStart(2, '0');
+  return `${hours}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+// Case-insensitive service lookup by name
+function findService(services, name) {
+  if (!name) {
+    return null;
+  }
+  const wanted = name.trim().toLowerCase();
+  return services.find(service => service.name.toLowerCase() === wanted) || null;
+}
+
+// Minutes an appointment blocks, including its service's buffer
+function getOccupiedMinutes(appointment, services) {
+  const service = findService(services, appointment.service);
+  const duration = appointment.duration_minutes || (service && service.duration_minutes) || DEFAULT_DURATION_MINUTES;
+  const buffer = service ? service.buffer_minutes || 0 : 0;
+  return duration + buffer;
+}
+
+// Opening ranges for a date as [start, end) minute pairs, capped at midnight
+function getBookableRanges(schedule, date) {
+  const day = openingHours.getDayName(date);
+  return schedule[day].map(range => {
+    const start = toMinutes(range.open);
+    const close = toMinutes(range.close);
+    return [start, close < start ? MINUTES_PER_DAY : close];
+  });
+}
+
+// Number of appointments overlapping [start, end)
+function countOverlapping(start, end, appointments, services) {
+  return appointments.filter(appointment => {
+    const appointmentStart = toMinutes(appointment.time);
+    const appointmentEnd = appointmentStart + getOccupiedMinutes(appointment, services);
+    return appointmentStart < end && start < appointmentEnd;
+  }).length;
+}
+
+// Free start times (HH:MM) for a service on one date, in chronological order.
+// `notBefore` skips earlier times (today's clock); `preferredTime` returns the
+// `count` slots nearest to it instead of the earliest ones.
+function findAvailableSlots(options) {
+  const {
+    schedule,
+    service,
+    date,
+    appointments,
+    services,
+    capacity = 1,
+    interval = DEFAULT_SLOT_INTERVAL_MINUTES,
+    notBefore,
+    preferredTime,
+    count = 3
+  } = options;
+
+  const duration = service.duration_minutes || DEFAULT_DURATION_MINUTES;
+  const occupied = duration + (service.buffer_minutes || 0);
+  const earliest = notBefore ? toMinutes(notBefore) : -1;
+  const free = [];
+
+  for (const [rangeStart, rangeEnd] of getBookableRanges(schedule, date)) {
+    // The appointment itself must end before closing; its buffer may run past it
+    for (let start = rangeStart; start + duration <= rangeEnd; start += interval) {
+      if (start <= earliest) {
+        continue;
+      }
+      if (countOverlapping(start, start + occupied, appointments, services) < capacity) {
+        free.push(start);
+      }
+    }
+  }
+
+  let selected = free;
+  if (preferredTime) {
+    const preferred = toMinutes(preferredTime);
+    selected = [...free].sort((a, b) => Math.abs(a - preferred) - Math.abs(b - preferred) || a - b);
+  }
+
+  return selected
+    .slice(0, count)
+    .sort((a, b) => a - b)
+    .map(toTime);
+}
+
+// Can a new appointment for `service` start at `time` on `date`?
+function isSlotAvailable(options) {
+  const { schedule, service, date, time, appointments, services, capacity = 1 } = options;
+  const start = toMinutes(time);
+  const duration = service.duration_minutes || DEFAULT_DURATION_MINUTES;
+  const occupied = duration + (service.buffer_minutes || 0);
+
+  const fitsOpeningHours = getBookableRanges(schedule, date)
+    .some(([rangeStart, rangeEnd]) => start >= rangeStart && start + duration <= rangeEnd);
+
+  return fitsOpeningHours && countOverlapping(start, start + occupied, appointments, services) < capacity;
+}
+
+module.exports = {
+  DEFAULT_DURATION_MINUTES,
+  DEFAULT_SLOT_INTERVAL_MINUTES,
+  findService,
+  findAvailableSlots,
+  isSlotAvailable
+};
@@ -0,0 +1,129 @@
+// Team members and roles per business.
+//
+// The customer that signed up is the account and its owner. The owner can invite managers
+// and staff by email; managers can invite staff. Each member logs in with their own email
+// address and password and works in the owner's account with the rights of their role:
+//   owner   - everything, including billing, cancelling the account and changing roles
+//   manager - configuration, numbers, services and the team (staff only)
+//   staff   - reads conversations and appointments, handles callback requests
+//
+// Invitation links carry a random token (only its hash is stored), expire after
+// INVITE_TTL_DAYS and work once.
+
+const crypto = require('crypto');
+const database = require('./database');
+
+const ROLES = ['owner', 'manager', 'staff'];
+const INVITE_TTL_DAYS = 7;
+
+function teamError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+function normalizeEmail(email) {
+  return String(email || '').trim().toLowerCase();
+}
+
+// Owners hand out manager and staff roles, managers only staff
+function canAssignRole(actorRole, role) {
+  if (actorRole === 'owner') {
+    return role === 'manager' || role === 'staff';
+  }
+  return actorRole === 'manager' && role === 'staff';
+}
+
+// Is an email address already used to log in (as an account or a team member)?
+function isEmailInUse(email) {
+  return Boolean(database.queries.findCustomerByEmail.get(email) || database.queries.findTeamMemberByEmail.get(normalizeEmail(email)));
+}
+
+// Invite someone to a customer's team; returns { invitation, token } with the raw token
+// for the link. Errors carry code INVALID_ROLE or EMAIL_IN_USE.
+function createInvitation(customerId, { email, role, invitedBy, actorRole }) {
+  const address = normalizeEmail(email);
+  if (!canAssignRole(actorRole, role)) {
+    throw teamError(`Role ${actorRole} cannot invite ${role}`, 'INVALID_ROLE');
+  }
+  if (isEmailInUse(address)) {
+    throw teamError(`${address} already has a login`, 'EMAIL_IN_USE');
+  }
+
+  const token = crypto.randomBytes(32).toString('hex');
+  database.queries.deletePendingTeamInvitations.run(customerId, address);
+  const result = database.queries.createTeamInvitation.run(
+    customerId,
+    address,
+    role,
+    hashToken(token),
+    invitedBy || null,
+    `+${INVITE_TTL_DAYS} days`
+  );
+
+  console.log(`[TEAM] Customer ${customerId} invited ${address} as ${role}`);
+  return {
+    invitation: database.queries.findTeamInvitationById.get(result.lastInsertRowid, customerId),
+    token: token
+  };
+}
+
+// The open invitation for a link, with the business name; null when invalid, expired or used
+function findInvitation(token) {
+  return token ? database.queries.findValidTeamInvitation.get(hashToken(token)) || null : null;
+}
+
+// Accept an invitation and create the member's login; returns the new member.
+// Errors carry code INVALID_TOKEN or EMAIL_IN_USE.
+function acceptInvitation(token, { name, passwordHash }) {
+  const invitation = findInvitation(token);
+  if (!invitation) {
+    throw teamError('Invitation is invalid, expired or used', 'INVALID_TOKEN');
+  }
+  if (isEmailInUse(invitation.email)) {
+    throw teamError(`${invitation.email} already has a login`, 'EMAIL_IN_USE');
+  }
+
+  // Using up the invitation and creating the login succeed or fail together
+  const { accepted, result } = database.db.transaction(() => {
+    const row = database.queries.acceptTeamInvitation.get(hashToken(token));
+    if (!row) {
+      throw teamError('Invitation is invalid, expired or used', 'INVALID_TOKEN');
+    }
+
+    return {
+      accepted: row,
+      result: database.queries.createTeamMember.run(row.customer_id, row.email, passwordHash, String(name || '').trim() || null, row.role)
+    };
+  })();
+
+  console.log(`[TEAM] ${accepted.email} joined customer ${accepted.customer_id} as ${accepted.role}`);
+  return database.queries.findTeamMemberById.get(result.lastInsertRowid, accepted.customer_id);
+}
+
+// Members and open invitations of a customer's team, owner first
+function listTeam(customer) {
+  return {
+    members: [
+      { id: null, email: customer.email, name: null, role: 'owner', created_at: customer.created_at },
+      ...database.queries.findTeamMembersByCustomerId.all(customer.id)
+    ],
+    invitations: database.queries.findPendingTeamInvitations.all(customer.id)
+  };
+}
+
+module.exports = {
+  ROLES,
+  INVITE_TTL_DAYS,
+  normalizeEmail,
+  canAssignRole,
+  isEmailInUse,
+  createInvitation,
+  findInvitation,
+  acceptInvitation,
+  listTeam
+};
@@ -0,0 +1,58 @@
+process.env.DATABASE_PATH = ':memory:';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+
+const billing = require('../billing');
+
+const SECRET = 'whsec_test';
+const payload = JSON.stringify({ id: 'evt_1', type: 'checkout.session.completed', data: { object: {} } });
+const now = Date.UTC(2026, 9, 19, 12, 0, 0);
+const timestamp = Math.floor(now / 1000);
+
+function assertRejected(header, secret = SECRET, body = payload, at = now) {
+  assert.throws(() => billing.verifyWebhook(body, header, secret, at), { code: 'INVALID_SIGNATURE' });
+}
+
+test('signPayload signs "<t>.<payload>" with HMAC-SHA256 as Stripe does', () => {
+  const expected = crypto.createHmac('sha256', SECRET).update(`${timestamp}.${payload}`).digest('hex');
+
+  assert.equal(billing.signPayload(payload, SECRET, timestamp), `t=${timestamp},v1=${expected}`);
+});
+
+test('verifyWebhook returns the event of a correctly signed payload', () => {
+  const header = billing.signPayload(payload, SECRET, timestamp);
+
+  assert.deepEqual(billing.verifyWebhook(payload, header, SECRET, now), JSON.parse(payload));
+});
+
+test('verifyWebhook accepts any matching v1 signature (secret rotation)', () => {
+  const valid = billing.signPayload(payload, SECRET, timestamp).split(',')[1];
+  const stale = billing.signPayload(payload, 'whsec_old', timestamp).split(',')[1];
+
+  assert.equal(billing.verifyWebhook(payload, `t=${timestamp},${stale},${valid}`, SECRET, now).id, 'evt_1');
+});
+
+test('verifyWebhook rejects another secret, a changed payload or a malformed header', () => {
+  assertRejected(billing.signPayload(payload, 'whsec_other', timestamp));
+  assertRejected(billing.signPayload(payload, SECRET, timestamp), SECRET, payload.replace('evt_1', 'evt_2'));
+  assertRejected(`t=${timestamp}`);
+  assertRejected(`v1=${'0'.repeat(64)}`);
+  assertRejected(undefined);
+  assertRejected(`t=${timestamp},v1=abc`);
+});
+
+test('verifyWebhook rejects signatures outside the five minute tolerance', () => {
+  const header = billing.signPayload(payload, SECRET, timestamp);
+
+  assert.equal(billing.verifyWebhook(payload, header, SECRET, now + 5 * 60 * 1000).id, 'evt_1');
+  assertRejected(header, SECRET, payload, now + 5 * 60 * 1000 + 1000);
+  assertRejected(header, SECRET, payload, now - 6 * 60 * 1000);
+});
+
+test('verifyWebhook refuses to run without a secret', () => {
+  const header = billing.signPayload(payload, SECRET, timestamp);
+
+  assert.throws(() => billing.verifyWebhook(payload, header, '', now), { code: 'NO_WEBHOOK_SECRET' });
+});
@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const openingHours = require('../opening-hours');
+
+function weekWith(ranges) {
+  const schedule = {};
+  for (const day of openingHours.DAYS) {
+    schedule[day] = ranges[day] || [];
+  }
+  return schedule;
+}
+
+// Monday to Friday 09:00-17:00, Friday night 22:00 until 02:00 on Saturday
+const schedule = weekWith({
+  monday: [{ open: '09:00', close: '17:00' }],
+  tuesday: [{ open: '09:00', close: '17:00' }],
+  wednesday: [{ open: '09:00', close: '17:00' }],
+  thursday: [{ open: '09:00', close: '17:00' }],
+  friday: [{ open: '09:00', close: '17:00' }, { open: '22:00', close: '02:00' }]
+});
+
+test('getOpeningStatus is open during a range and gives the closing time', () => {
+  // Monday 2026-10-19 10:30 in Amsterdam (UTC+2)
+  const status = openingHours.getOpeningStatus(schedule, 'Europe/Amsterdam', new Date('2026-10-19T08:30:00Z'));
+
+  assert.equal(status.isOpen, true);
+  assert.equal(status.closesAt, '17:00');
+  assert.deepEqual(status.local, { day: 'monday', date: '2026-10-19', time: '10:30' });
+});
+
+test('getOpeningStatus gives the next opening when closed', () => {
+  const evening = openingHours.getOpeningStatus(schedule, 'UTC', new Date('2026-10-19T18:00:00Z'));
+  assert.equal(evening.isOpen, false);
+  assert.deepEqual(evening.nextOpening, { day: 'tuesday', date: '2026-10-20', time: '09:00' });
+
+  // Saturday after the overnight range: next opening is Monday
+  const weekend = openingHours.getOpeningStatus(schedule, 'UTC', new Date('2026-10-24T12:00:00Z'));
+  assert.equal(weekend.isOpen, false);
+  assert.deepEqual(weekend.nextOpening, { day: 'monday', date: '2026-10-26', time: '09:00' });
+});
+
+test('getOpeningStatus keeps an overnight range open past midnight', () => {
+  const friday = openingHours.getOpeningStatus(schedule, 'UTC', new Date('2026-10-23T23:00:00Z'));
+  assert.equal(friday.isOpen, true);
+  assert.equal(friday.closesAt, '02:00');
+
+  const saturday = openingHours.getOpeningStatus(schedule, 'UTC', new Date('2026-10-24T01:30:00Z'));
+  assert.equal(saturday.isOpen, true);
+  assert.equal(saturday.closesAt, '02:00');
+
+  const closed = openingHours.getOpeningStatus(schedule, 'UTC', new Date('2026-10-24T02:00:00Z'));
+  assert.equal(closed.isOpen, false);
+});
+
+test('getOpeningStatus without any hours has no next opening', () => {
+  const status = openingHours.getOpeningStatus(weekWith({}), 'UTC', new Date('2026-10-19T10:00:00Z'));
+
+  assert.equal(status.isOpen, false);
+  assert.equal(status.nextOpening, null);
+});
+
+test('isOpenAt checks a local date and time, including overnight ranges', () => {
+  assert.equal(openingHours.isOpenAt(schedule, '2026-10-19', '09:00'), true);
+  assert.equal(openingHours.isOpenAt(schedule, '2026-10-19', '16:59'), true);
+  assert.equal(openingHours.isOpenAt(schedule, '2026-10-19', '17:00'), false);
+  assert.equal(openingHours.isOpenAt(schedule, '2026-10-23', '23:30'), true);
+  assert.equal(openingHours.isOpenAt(schedule, '2026-10-24', '01:45'), true);
+  assert.equal(openingHours.isOpenAt(schedule, '2026-10-24', '02:00'), false);
+  assert.equal(openingHours.isOpenAt(schedule, '2026-10-25', '10:00'), false);
+});
+
+test('readOpeningHours accepts the older wizard shape and rejects broken ranges', () => {
+  const wizard = openingHours.readOpeningHours(JSON.stringify({
+    monday: { open: true, openTime: '08:00', closeTime: '12:00' },
+    tuesday: { open: false, openTime: '08:00', closeTime: '12:00' }
+  }));
+  assert.deepEqual(wizard.monday, [{ open: '08:00', close: '12:00' }]);
+  assert.deepEqual(wizard.tuesday, []);
+
+  assert.equal(openingHours.readOpeningHours('Mon-Fri 9-5'), null);
+  assert.equal(openingHours.readOpeningHours({ monday: [{ open: '25:00', close: '17:00' }] }), null);
+  assert.equal(openingHours.readOpeningHours({ monday: [{ open: '09:00', close: '09:00' }] }), null);
+});
@@ -0,0 +1,68 @@
+process.env.DATABASE_PATH = ':memory:';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const database = require('../database');
+const passwordReset = require('../password-reset');
+
+database.initializeDatabase();
+const { queries } = database;
+
+const customerId = queries.createCustomer.run('owner@test.nl', 'hash', 'Kapsalon', 'starter').lastInsertRowid;
+const customer = queries.findCustomerById.get(customerId);
+const memberId = queries.createTeamMember.run(customerId, 'staff@test.nl', 'hash', 'Sam', 'staff').lastInsertRowid;
+const member = { id: memberId };
+
+test('a reset token works once', () => {
+  const token = passwordReset.createResetToken(customer);
+
+  assert.equal(passwordReset.isValidToken(token), true);
+  assert.deepEqual(passwordReset.consumeToken(token), { customerId, memberId: null });
+  assert.equal(passwordReset.consumeToken(token), null);
+  assert.equal(passwordReset.isValidToken(token), false);
+});
+
+test('an expired token is refused', () => {
+  const token = passwordReset.createResetToken(customer);
+  database.db.prepare("UPDATE password_reset_tokens SET expires_at = datetime('now', '-1 minute') WHERE used_at IS NULL").run();
+
+  assert.equal(passwordReset.isValidToken(token), false);
+  assert.equal(passwordReset.consumeToken(token), null);
+});
+
+test('tokens expire after TOKEN_TTL_MINUTES', () => {
+  passwordReset.createResetToken(customer);
+  const row = database.db.prepare(`
+    SELECT (julianday(expires_at) - julianday(created_at)) * 24 * 60 AS minutes
+    FROM password_reset_tokens WHERE used_at IS NULL
+  `).get();
+
+  assert.equal(Math.round(row.minutes), passwordReset.TOKEN_TTL_MINUTES);
+});
+
+test('unknown and missing tokens are refused', () => {
+  assert.equal(passwordReset.isValidToken('not-a-token'), false);
+  assert.equal(passwordReset.isValidToken(undefined), false);
+  assert.equal(passwordReset.consumeToken('not-a-token'), null);
+  assert.equal(passwordReset.consumeToken(''), null);
+});
+
+test('a new link invalidates older links of the same user only', () => {
+  const first = passwordReset.createResetToken(customer);
+  const memberToken = passwordReset.createResetToken(customer, member);
+  const second = passwordReset.createResetToken(customer);
+
+  assert.equal(passwordReset.isValidToken(first), false);
+  assert.equal(passwordReset.isValidToken(second), true);
+  assert.deepEqual(passwordReset.consumeToken(memberToken), { customerId, memberId });
+});
+
+test('resetting the password invalidates the remaining links', () => {
+  const token = passwordReset.createResetToken(customer, member);
+
+  passwordReset.resetPassword(customerId, 'new-hash', memberId);
+
+  assert.equal(passwordReset.consumeToken(token), null);
+  assert.equal(queries.findTeamMemberById.get(memberId, customerId).password, 'new-hash');
+});
@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { redact, createTokenizer, installLogRedaction } = require('../redaction');
+
+test('redact replaces email addresses', () => {
+  assert.equal(redact('Mail me at jan.de-vries+kapper@example.co.uk please'), 'Mail me at [EMAIL] please');
+});
+
+test('redact replaces IBANs that pass the mod-97 check', () => {
+  assert.equal(redact('IBAN NL91ABNA0417164300'), 'IBAN [IBAN]');
+  assert.equal(redact('IBAN NL91 ABNA 0417 1643 00.'), 'IBAN [IBAN].');
+  assert.equal(redact('Code NL92ABNA0417164300'), 'Code NL92ABNA0417164300');
+});
+
+test('redact replaces card numbers that pass the Luhn check', () => {
+  assert.equal(redact('Card 4111 1111 1111 1111'), 'Card [CARD]');
+  assert.equal(redact('Card 5500-0000-0000-0004'), 'Card [CARD]');
+  assert.equal(redact('Order 4111 1111 1111 1112'), 'Order 4111 1111 1111 1112');
+});
+
+test('redact replaces dates in an earlier year as birth dates', () => {
+  assert.equal(redact('Born 12-03-1985'), 'Born [DOB]');
+  assert.equal(redact('Geboren op 3 maart 1990'), 'Geboren op [DOB]');
+  assert.equal(redact('Born March 5, 1980'), 'Born [DOB]');
+  assert.equal(redact('Appointment on 12-03-2099'), 'Appointment on 12-03-2099');
+});
+
+test('redact replaces phone numbers starting with +, 00 or 0', () => {
+  assert.equal(redact('Call +31 6 12345678'), 'Call [PHONE]');
+  assert.equal(redact('Call 0612345678 or 020-1234567'), 'Call [PHONE] or [PHONE]');
+  assert.equal(redact('Call 0031 20 123 4567'), 'Call [PHONE]');
+});
+
+test('redact leaves times, short numbers and other values alone', () => {
+  const text = 'Open at 10:30, call 112 in an emergency, order 12345 costs 25 euro';
+
+  assert.equal(redact(text), text);
+  assert.equal(redact(''), '');
+  assert.equal(redact(null), null);
+});
+
+test('createTokenizer numbers values per kind and reuses tokens for the same value', () => {
+  const tokenizer = createTokenizer();
+
+  assert.equal(
+    tokenizer.tokenize('Call 0612345678 or 0201234567, mail a@example.nl'),
+    'Call [PHONE_1] or [PHONE_2], mail [EMAIL_1]'
+  );
+  assert.equal(tokenizer.tokenize('Again 0612345678'), 'Again [PHONE_1]');
+  assert.deepEqual(tokenizer.entries(), [
+    { token: '[EMAIL_1]', kind: 'EMAIL', value: 'a@example.nl' },
+    { token: '[PHONE_1]', kind: 'PHONE', value: '0612345678' },
+    { token: '[PHONE_2]', kind: 'PHONE', value: '0201234567' }
+  ]);
+});
+
+test('installLogRedaction redacts console output unless LOG_REDACTION is false', (t) => {
+  const saved = process.env.LOG_REDACTION;
+  t.after(() => {
+    process.env.LOG_REDACTION = saved;
+    if (saved === undefined) {
+      delete process.env.LOG_REDACTION;
+    }
+  });
+
+  delete process.env.LOG_REDACTION;
+  const output = [];
+  const target = { log: line => output.push(line), info() {}, warn() {}, error() {} };
+
+  assert.equal(installLogRedaction(target), true);
+  target.log('Caller %s said %j', '+31612345678', { email: 'a@example.nl' });
+  assert.deepEqual(output, ['Caller [PHONE] said {"email":"[EMAIL]"}']);
+
+  process.env.LOG_REDACTION = 'false';
+  assert.equal(installLogRedaction({ log() {} }), false);
+});
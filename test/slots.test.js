@@ -0,0 +1,87 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const slots = require('../slots');
+const openingHours = require('../opening-hours');
+
+function weekWith(ranges) {
+  const schedule = {};
+  for (const day of openingHours.DAYS) {
+    schedule[day] = ranges[day] || [];
+  }
+  return schedule;
+}
+
+// Monday 2026-10-19 09:00-12:00, Friday 2026-10-23 22:00 until 02:00
+const schedule = weekWith({
+  monday: [{ open: '09:00', close: '12:00' }],
+  friday: [{ open: '22:00', close: '02:00' }]
+});
+const haircut = { name: 'Haircut', duration_minutes: 30, buffer_minutes: 15 };
+const services = [haircut];
+const booked = [{ date: '2026-10-19', time: '09:00', service: 'haircut' }];
+
+test('findAvailableSlots skips times overlapping an appointment and its buffer', () => {
+  const free = slots.findAvailableSlots({
+    schedule, service: haircut, date: '2026-10-19', appointments: booked, services
+  });
+
+  assert.deepEqual(free, ['09:45', '10:00', '10:15']);
+});
+
+test('findAvailableSlots allows overlapping appointments up to the capacity', () => {
+  const free = slots.findAvailableSlots({
+    schedule, service: haircut, date: '2026-10-19', appointments: booked, services, capacity: 2
+  });
+
+  assert.deepEqual(free, ['09:00', '09:15', '09:30']);
+});
+
+test('findAvailableSlots honours notBefore and preferredTime', () => {
+  const later = slots.findAvailableSlots({
+    schedule, service: haircut, date: '2026-10-19', appointments: [], services, notBefore: '10:00'
+  });
+  assert.deepEqual(later, ['10:15', '10:30', '10:45']);
+
+  const nearest = slots.findAvailableSlots({
+    schedule, service: haircut, date: '2026-10-19', appointments: [], services, preferredTime: '11:00'
+  });
+  assert.deepEqual(nearest, ['10:45', '11:00', '11:15']);
+});
+
+test('findAvailableSlots ends appointments before closing and overnight ranges at midnight', () => {
+  const monday = slots.findAvailableSlots({
+    schedule, service: haircut, date: '2026-10-19', appointments: [], services, count: 100
+  });
+  assert.equal(monday[monday.length - 1], '11:30');
+
+  const friday = slots.findAvailableSlots({
+    schedule, service: haircut, date: '2026-10-23', appointments: [], services, count: 100
+  });
+  assert.equal(friday[0], '22:00');
+  assert.equal(friday[friday.length - 1], '23:30');
+
+  const closed = slots.findAvailableSlots({
+    schedule, service: haircut, date: '2026-10-20', appointments: [], services
+  });
+  assert.deepEqual(closed, []);
+});
+
+test('isSlotAvailable checks opening hours, overlap and capacity', () => {
+  const base = { schedule, service: haircut, date: '2026-10-19', appointments: booked, services };
+
+  assert.equal(slots.isSlotAvailable({ ...base, time: '09:30' }), false);
+  assert.equal(slots.isSlotAvailable({ ...base, time: '09:45' }), true);
+  assert.equal(slots.isSlotAvailable({ ...base, time: '09:30', capacity: 2 }), true);
+  assert.equal(slots.isSlotAvailable({ ...base, time: '11:30' }), true);
+  assert.equal(slots.isSlotAvailable({ ...base, time: '11:45' }), false);
+  assert.equal(slots.isSlotAvailable({ ...base, time: '08:30' }), false);
+});
+
+test('appointments without a known service block the default duration', () => {
+  const walkIn = [{ date: '2026-10-19', time: '10:00', service: 'Walk-in' }];
+  const base = { schedule, service: haircut, date: '2026-10-19', appointments: walkIn, services };
+
+  assert.equal(slots.isSlotAvailable({ ...base, time: '10:15' }), false);
+  assert.equal(slots.isSlotAvailable({ ...base, time: '10:30' }), true);
+});
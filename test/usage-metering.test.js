@@ -0,0 +1,86 @@
+process.env.DATABASE_PATH = ':memory:';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const database = require('../database');
+const mailer = require('../mailer');
+const usageMetering = require('../usage-metering');
+
+database.initializeDatabase();
+const { queries } = database;
+
+test('getBillingPeriod runs from the signup day to the same day next month', () => {
+  const customer = { created_at: '2026-05-19 10:00:00' };
+
+  assert.deepEqual(usageMetering.getBillingPeriod(customer, new Date('2026-10-19T00:00:00Z')),
+    { start: '2026-10-19', end: '2026-11-19' });
+  assert.deepEqual(usageMetering.getBillingPeriod(customer, new Date('2026-10-18T23:59:00Z')),
+    { start: '2026-09-19', end: '2026-10-19' });
+});
+
+test('getBillingPeriod crosses the new year', () => {
+  const customer = { created_at: '2025-12-20 08:00:00' };
+
+  assert.deepEqual(usageMetering.getBillingPeriod(customer, new Date('2026-01-05T12:00:00Z')),
+    { start: '2025-12-20', end: '2026-01-20' });
+});
+
+test('getBillingPeriod clamps a signup on the 31st to shorter months', () => {
+  const customer = { created_at: '2026-01-31 09:00:00' };
+
+  assert.deepEqual(usageMetering.getBillingPeriod(customer, new Date('2026-02-15T12:00:00Z')),
+    { start: '2026-01-31', end: '2026-02-28' });
+  assert.deepEqual(usageMetering.getBillingPeriod(customer, new Date('2026-02-28T12:00:00Z')),
+    { start: '2026-02-28', end: '2026-03-31' });
+  assert.deepEqual(usageMetering.getBillingPeriod(customer, new Date('2026-04-30T12:00:00Z')),
+    { start: '2026-04-30', end: '2026-05-31' });
+});
+
+function createBusiness(email, plan) {
+  const customerId = queries.createCustomer.run(email, 'hash', 'Kapsalon', plan).lastInsertRowid;
+  queries.createBusinessProfile.run(customerId, 'Kapsalon');
+  return {
+    customer: queries.findCustomerById.get(customerId),
+    businessProfile: queries.findBusinessByCustomerId.get(customerId)
+  };
+}
+
+test('getUsage meters started call minutes and visitor messages against the plan', () => {
+  const { customer, businessProfile } = createBusiness('usage@test.nl', 'professional');
+  queries.createConversation.run(businessProfile.id, 'call', '+31612345678', '', '', 61, 2, 'info_given');
+  queries.createConversation.run(businessProfile.id, 'call', '+31612345678', '', '', 30, 1, 'info_given');
+  queries.createConversation.run(businessProfile.id, 'chat', null, '', '', 120, 5, 'info_given');
+
+  const usage = usageMetering.getUsage(customer, businessProfile);
+
+  assert.deepEqual(usage.allowance, { callMinutes: 2000, chatMessages: 10000 });
+  assert.deepEqual(usage.used, { callMinutes: 3, calls: 2, chatMessages: 5, chats: 1 });
+  assert.equal(usage.callMinutesExceeded, false);
+  assert.equal(usage.nearLimit, false);
+  assert.equal(usage.overageBehavior, 'allow');
+});
+
+test('getUsage on the starter plan has no call minutes', () => {
+  const { customer, businessProfile } = createBusiness('starter@test.nl', 'starter');
+
+  const usage = usageMetering.getUsage(customer, businessProfile);
+
+  assert.equal(usage.callMinutesExceeded, true);
+  assert.equal(usage.chatMessagesExceeded, false);
+  assert.equal(usage.nearLimit, false);
+});
+
+test('notifyExceeded emails the owner once per billing period', (t) => {
+  const sendTemplate = t.mock.method(mailer, 'sendTemplate', async () => true);
+  const { customer, businessProfile } = createBusiness('exceeded@test.nl', 'professional');
+  const usage = usageMetering.getUsage(customer, businessProfile);
+
+  assert.equal(usageMetering.notifyExceeded(customer, usage), true);
+  assert.equal(usageMetering.notifyExceeded(customer, usage), false);
+  assert.equal(sendTemplate.mock.callCount(), 1);
+  assert.equal(sendTemplate.mock.calls[0].arguments[0].template, 'usage_exceeded');
+
+  const nextPeriod = { ...usage, period: { start: usage.period.end, end: '2099-01-01' } };
+  assert.equal(usageMetering.notifyExceeded(customer, nextPeriod), true);
+});
@@ -0,0 +1,71 @@
+// Trial usage per caller number for the shared demo number.
+//
+// Usage is stored in the trial_usage table so limits survive restarts. A number may
+// make `callsPerNumber` calls totalling `minutesPerNumber` minutes. With a cooldown,
+// a number that reached its limit may try again once `cooldownHours` have passed since
+// its last call; without one, the limit is for good (until an operator resets it).
+
+const database = require('./database');
+
+// Length of a single demo call, also when the number has more minutes left
+const TRIAL_CALL_MINUTES = 3;
+
+// Limits from the environment, e.g. TRIAL_MAX_CALLS_PER_NUMBER=2
+function getTrialLimits() {
+  return {
+    callsPerNumber: parseInt(process.env.TRIAL_MAX_CALLS_PER_NUMBER, 10) || 1,
+    minutesPerNumber: parseFloat(process.env.TRIAL_MAX_MINUTES_PER_NUMBER) || TRIAL_CALL_MINUTES,
+    cooldownHours: parseFloat(process.env.TRIAL_COOLDOWN_HOURS) || 0
+  };
+}
+
+// SQLite timestamps are UTC without a zone marker
+function hoursSince(timestamp, now) {
+  return (now - new Date(`${timestamp.replace(' ', 'T')}Z`).getTime()) / (60 * 60 * 1000);
+}
+
+// May this number start a demo call? Returns { allowed, reason, minutesLeft }
+function checkAllowance(phoneNumber, limits = getTrialLimits(), now = Date.now()) {
+  let usage = database.queries.findTrialUsage.get(phoneNumber);
+
+  if (usage && limits.cooldownHours > 0 && hoursSince(usage.last_used_at, now) >= limits.cooldownHours) {
+    database.queries.resetTrialUsage.run(phoneNumber);
+    console.log(`[TRIAL] Cooldown passed for ${phoneNumber}, usage reset`);
+    usage = null;
+  }
+
+  const callCount = usage ? usage.call_count : 0;
+  const minutesUsed = usage ? usage.total_seconds / 60 : 0;
+  const minutesLeft = Math.max(0, limits.minutesPerNumber - minutesUsed);
+
+  if (callCount >= limits.callsPerNumber) {
+    return { allowed: false, reason: 'calls', minutesLeft: minutesLeft };
+  }
+  if (minutesLeft <= 0) {
+    return { allowed: false, reason: 'minutes', minutesLeft: 0 };
+  }
+
+  return { allowed: true, reason: null, minutesLeft: minutesLeft };
+}
+
+// Minutes the next demo call from this number may last
+function getCallLimitMinutes(allowance) {
+  return Math.min(TRIAL_CALL_MINUTES, allowance.minutesLeft);
+}
+
+function recordCallStart(phoneNumber) {
+  database.queries.recordTrialCallStart.run(phoneNumber);
+}
+
+function recordCallEnd(phoneNumber, durationSeconds) {
+  database.queries.addTrialSeconds.run(Math.max(0, Math.round(durationSeconds)), phoneNumber);
+}
+
+module.exports = {
+  TRIAL_CALL_MINUTES,
+  getTrialLimits,
+  checkAllowance,
+  getCallLimitMinutes,
+  recordCallStart,
+  recordCallEnd
+};
@@ -0,0 +1,73 @@
+// Validation of Twilio webhook requests (X-Twilio-Signature).
+//
+// Twilio signs every webhook with the account's auth token over the full URL it called
+// plus the POSTed form fields. We rebuild that URL from PUBLIC_BASE_URL, or from the
+// request itself; behind a proxy (TRUST_PROXY) the X-Forwarded-Proto/Host headers give
+// the public protocol and host, since the proxy talks to us on another address.
+//
+// Requests without a valid signature get a 403. Without TWILIO_AUTH_TOKEN nothing can be
+// validated, so everything is rejected, unless the dev bypass is switched on explicitly
+// with TWILIO_SKIP_SIGNATURE_VALIDATION=true (ignored when NODE_ENV=production).
+
+const twilio = require('twilio');
+
+// Host the client asked for; X-Forwarded-Host only counts when the proxy is trusted
+function getRequestHost(req) {
+  const forwardedHost = req.get('X-Forwarded-Host');
+  const trustProxy = req.app.get('trust proxy fn');
+
+  if (forwardedHost && trustProxy(req.socket.remoteAddress, 0)) {
+    return forwardedHost.split(',')[0].trim();
+  }
+  return req.get('host');
+}
+
+// Public URL of this server (PUBLIC_BASE_URL, or the protocol and host of the request)
+function getPublicBaseUrl(req) {
+  return (process.env.PUBLIC_BASE_URL || `${req.protocol}://${getRequestHost(req)}`).replace(/\/$/, '');
+}
+
+// The URL Twilio called, including the query string
+function getWebhookUrl(req) {
+  return `${getPublicBaseUrl(req)}${req.originalUrl}`;
+}
+
+function isBypassEnabled() {
+  return process.env.TWILIO_SKIP_SIGNATURE_VALIDATION === 'true' && process.env.NODE_ENV !== 'production';
+}
+
+function isValidRequest(req) {
+  const authToken = process.env.TWILIO_AUTH_TOKEN;
+  const signature = req.get('X-Twilio-Signature');
+  if (!authToken || !signature) {
+    return false;
+  }
+
+  return twilio.validateRequest(authToken, signature, getWebhookUrl(req), req.body || {});
+}
+
+// Middleware for routes that only Twilio may call
+function requireTwilioSignature(req, res, next) {
+  if (isBypassEnabled()) {
+    return next();
+  }
+
+  if (!isValidRequest(req)) {
+    console.warn(`[TWILIO] Rejected ${req.method} ${req.originalUrl} from ${req.ip}: invalid or missing signature`);
+    return res.status(403).json({ error: 'Niet geautoriseerd' });
+  }
+  next();
+}
+
+if (isBypassEnabled()) {
+  console.warn('[TWILIO] Signature validation is switched off (TWILIO_SKIP_SIGNATURE_VALIDATION=true)');
+} else if (process.env.TWILIO_SKIP_SIGNATURE_VALIDATION === 'true') {
+  console.warn('[TWILIO] TWILIO_SKIP_SIGNATURE_VALIDATION is ignored in production');
+}
+
+module.exports = {
+  getPublicBaseUrl,
+  getWebhookUrl,
+  isValidRequest,
+  requireTwilioSignature
+};
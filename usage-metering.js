@@ -0,0 +1,121 @@
+// Plan allowances and usage per billing period, metered from stored conversations.
+//
+// Call minutes are counted per started minute of each call; chat usage is the number
+// of visitor messages. A billing period runs from the day of the month the customer
+// signed up until the same day next month.
+
+const database = require('./database');
+const mailer = require('./mailer');
+
+const PLAN_ALLOWANCES = {
+  starter: { callMinutes: 0, chatMessages: 3000 },
+  professional: { callMinutes: 2000, chatMessages: 10000 },
+  business: { callMinutes: 6000, chatMessages: 30000 }
+};
+
+// What happens to calls once the call minutes are used up:
+// block - callers hear a message and are hung up
+// warn  - calls are answered, the owner gets an email once per period and the dashboard
+//         warns (from 80% of the allowance)
+// allow - calls are answered without warnings
+const OVERAGE_BEHAVIORS = ['block', 'warn', 'allow'];
+const DEFAULT_OVERAGE_BEHAVIOR = 'allow';
+
+const EXCEEDED_EMAIL_TEMPLATE = 'usage_exceeded';
+
+// Share of the allowance at which the dashboard starts warning
+const WARNING_THRESHOLD = 0.8;
+
+function formatDate(date) {
+  return date.toISOString().substring(0, 10);
+}
+
+// Day `day` of a month, clamped to the month's length (signing up on the 31st)
+function anchorInMonth(year, month, day) {
+  const lastDay = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+  return new Date(Date.UTC(year, month, Math.min(day, lastDay)));
+}
+
+// Start (inclusive) and end (exclusive) dates of the billing period containing `now`
+function getBillingPeriod(customer, now = new Date()) {
+  const anchorDay = Number((customer.created_at || formatDate(now)).substring(8, 10));
+  const year = now.getUTCFullYear();
+  const month = now.getUTCMonth();
+
+  let start = anchorInMonth(year, month, anchorDay);
+  if (start > now) {
+    start = anchorInMonth(year, month - 1, anchorDay);
+  }
+  const end = anchorInMonth(start.getUTCFullYear(), start.getUTCMonth() + 1, anchorDay);
+
+  return { start: formatDate(start), end: formatDate(end) };
+}
+
+// Plans without an allowance for something (starter has no phone minutes) never warn about it
+function isNearLimit(used, allowed) {
+  return allowed > 0 && used >= allowed * WARNING_THRESHOLD;
+}
+
+function getAllowance(plan) {
+  return PLAN_ALLOWANCES[plan] || PLAN_ALLOWANCES.starter;
+}
+
+// Usage of a business against its plan in the current billing period
+function getUsage(customer, businessProfile, now = new Date()) {
+  const period = getBillingPeriod(customer, now);
+  const allowance = getAllowance(customer.plan);
+  const totals = database.queries.sumUsageInPeriod.get(businessProfile.id, period.start, period.end);
+
+  const callMinutesExceeded = totals.call_minutes >= allowance.callMinutes;
+  const chatMessagesExceeded = totals.chat_messages >= allowance.chatMessages;
+
+  return {
+    plan: customer.plan,
+    period: period,
+    allowance: allowance,
+    used: {
+      callMinutes: totals.call_minutes,
+      calls: totals.calls,
+      chatMessages: totals.chat_messages,
+      chats: totals.chats
+    },
+    callMinutesExceeded: callMinutesExceeded,
+    chatMessagesExceeded: chatMessagesExceeded,
+    nearLimit: isNearLimit(totals.call_minutes, allowance.callMinutes) ||
+      isNearLimit(totals.chat_messages, allowance.chatMessages),
+    overageBehavior: businessProfile.overage_behavior || DEFAULT_OVERAGE_BEHAVIOR
+  };
+}
+
+// Email the owner that the call minutes are used up ('warn'); once per billing period,
+// returns false when it was sent before. The period is claimed before sending, so
+// simultaneous calls can't both send it.
+function notifyExceeded(customer, usage) {
+  const claimed = database.queries.createUsageNotice.run(customer.id, usage.period.start);
+  if (claimed.changes === 0) {
+    return false;
+  }
+
+  mailer.sendTemplate({
+    to: customer.email,
+    customerId: customer.id,
+    template: EXCEEDED_EMAIL_TEMPLATE,
+    language: customer.language,
+    data: {
+      allowance: usage.allowance.callMinutes,
+      end: usage.period.end,
+      billingUrl: mailer.appUrl('/dashboard#billing')
+    }
+  });
+  return true;
+}
+
+module.exports = {
+  PLAN_ALLOWANCES,
+  OVERAGE_BEHAVIORS,
+  DEFAULT_OVERAGE_BEHAVIOR,
+  getBillingPeriod,
+  getAllowance,
+  getUsage,
+  notifyExceeded
+};